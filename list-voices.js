@@ -1,46 +1,158 @@
-// Script para listar todas las voces disponibles en tu cuenta de ElevenLabs
-// Ejecutar con: node list-voices.js
+// Voces de ElevenLabs de tu cuenta: listarlas, escuchar una muestra y elegir la de la instalación.
+// La API key se lee de ELEVENLABS_API_KEY o VITE_ELEVENLABS_API_KEY (también desde .env).
+//
+//   npm run voices -- [--language es] [--gender female] [--accent spain]
+//   npm run voices -- --sample <id|nombre> [--text "..."] [--out muestra.mp3] [--model eleven_v3]
+//   npm run voices -- --use <id|nombre> [--as default]
+//
+// --use escribe la voz en src/services/voices.json, que elevenlabs.js carga al compilar:
+// "default" es la voz de la instalación; el resto son las voces de los perfiles de narración.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
 
-const ELEVENLABS_API_KEY = 'tu_api_key_aqui'; // Copia tu API key aquí temporalmente
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const VOICES_FILE = new URL('./src/services/voices.json', import.meta.url);
+const DEFAULT_SAMPLE_TEXT = 'Hay palabras que se quedan flotando en el agua, esperando a que alguien las lea en voz alta.';
+const DEFAULT_SAMPLE_MODEL = 'eleven_v3';
 
-async function listVoices() {
+// Nombres en inglés de los idiomas de la instalación, como los etiqueta ElevenLabs
+const LANGUAGE_NAMES = {
+  es: 'spanish',
+  en: 'english',
+  ca: 'catalan',
+  fr: 'french',
+  it: 'italian',
+  pt: 'portuguese',
+  de: 'german'
+};
+
+const normalize = (text = '') => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function loadApiKey() {
   try {
-    const response = await fetch('https://api.elevenlabs.io/v1/voices', {
-      headers: {
-        'xi-api-key': ELEVENLABS_API_KEY
-      }
-    });
-
-    const data = await response.json();
-    
-    console.log('\n========== VOCES DISPONIBLES ==========\n');
-    
-    data.voices.forEach(voice => {
-      console.log(`📢 ${voice.name}`);
-      console.log(`   ID: ${voice.voice_id}`);
-      console.log(`   Descripción: ${voice.description || 'N/A'}`);
-      console.log(`   Idiomas: ${voice.labels?.language || 'N/A'}`);
-      console.log(`   Género: ${voice.labels?.gender || 'N/A'}`);
-      console.log(`   Acento: ${voice.labels?.accent || 'N/A'}`);
-      console.log(`   Edad: ${voice.labels?.age || 'N/A'}`);
-      console.log(`   Caso de uso: ${voice.labels?.use_case || 'N/A'}`);
-      console.log('');
-    });
-    
-    console.log('\n========== VOCES EN ESPAÑOL ==========\n');
-    
-    const spanishVoices = data.voices.filter(v => 
-      v.labels?.language?.toLowerCase().includes('spanish') ||
-      v.labels?.accent?.toLowerCase().includes('spanish')
-    );
-    
-    spanishVoices.forEach(voice => {
-      console.log(`🇪🇸 ${voice.name}: ${voice.voice_id}`);
-    });
-    
-  } catch (error) {
-    console.error('Error:', error);
+    process.loadEnvFile();
+  } catch {
+    // Sin .env: solo el entorno
+  }
+  const apiKey = process.env.ELEVENLABS_API_KEY || process.env.VITE_ELEVENLABS_API_KEY;
+  if (!apiKey || apiKey === 'your_elevenlabs_api_key_here') {
+    throw new Error('Falta la API key: define ELEVENLABS_API_KEY (o VITE_ELEVENLABS_API_KEY en .env)');
+  }
+  return apiKey;
+}
+
+async function fetchVoices(apiKey) {
+  const response = await fetch(`${ELEVENLABS_API_URL}/voices`, {
+    headers: { 'xi-api-key': apiKey }
+  });
+  if (!response.ok) {
+    throw new Error(`ElevenLabs API error: ${response.status} - ${await response.text()}`);
+  }
+  const { voices } = await response.json();
+  return voices;
+}
+
+// Idiomas de una voz: su etiqueta y los idiomas verificados (código y nombre)
+function voiceLanguages(voice) {
+  const verified = (voice.verified_languages || []).flatMap(item => [item.language, item.locale, LANGUAGE_NAMES[item.language]]);
+  return [voice.labels?.language, ...verified].filter(Boolean).map(normalize);
+}
+
+function voiceAccents(voice) {
+  const verified = (voice.verified_languages || []).map(item => item.accent);
+  return [voice.labels?.accent, ...verified].filter(Boolean).map(normalize);
+}
+
+function filterVoices(voices, { language, gender, accent }) {
+  const languageTerms = language ? [normalize(language), LANGUAGE_NAMES[normalize(language)]].filter(Boolean) : null;
+  return voices.filter(voice =>
+    (!languageTerms || voiceLanguages(voice).some(value => languageTerms.some(term => value.includes(term))))
+    && (!gender || normalize(voice.labels?.gender) === normalize(gender))
+    && (!accent || voiceAccents(voice).some(value => value.includes(normalize(accent))))
+  );
+}
+
+function findVoice(voices, idOrName) {
+  const voice = voices.find(item => item.voice_id === idOrName)
+    || voices.find(item => normalize(item.name) === normalize(idOrName))
+    || voices.find(item => normalize(item.name).startsWith(normalize(idOrName)));
+  if (!voice) throw new Error(`No hay ninguna voz "${idOrName}" en la cuenta`);
+  return voice;
+}
+
+function printVoices(voices) {
+  console.log(`\n========== ${voices.length} VOCES ==========\n`);
+  voices.forEach(voice => {
+    const languages = (voice.verified_languages || []).map(item => item.locale || item.language);
+    console.log(`📢 ${voice.name}`);
+    console.log(`   ID: ${voice.voice_id}`);
+    console.log(`   Descripción: ${voice.description || voice.labels?.description || 'N/A'}`);
+    console.log(`   Idiomas: ${[voice.labels?.language, ...languages].filter(Boolean).join(', ') || 'N/A'}`);
+    console.log(`   Género: ${voice.labels?.gender || 'N/A'}`);
+    console.log(`   Acento: ${voice.labels?.accent || 'N/A'}`);
+    console.log(`   Edad: ${voice.labels?.age || 'N/A'}`);
+    console.log(`   Caso de uso: ${voice.labels?.use_case || 'N/A'}`);
+    console.log('');
+  });
+}
+
+async function synthesizeSample(apiKey, voice, { text, out, model }) {
+  const response = await fetch(`${ELEVENLABS_API_URL}/text-to-speech/${voice.voice_id}`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'audio/mpeg',
+      'Content-Type': 'application/json',
+      'xi-api-key': apiKey
+    },
+    body: JSON.stringify({ text, model_id: model })
+  });
+  if (!response.ok) {
+    throw new Error(`ElevenLabs API error: ${response.status} - ${await response.text()}`);
+  }
+
+  const file = out || `muestra-${normalize(voice.name).replace(/[^a-z0-9]+/g, '-')}.mp3`;
+  await writeFile(file, Buffer.from(await response.arrayBuffer()));
+  console.log(`🔊 Muestra de ${voice.name} guardada en ${file} (${text.length} caracteres, ${model})`);
+}
+
+async function saveVoice(voice, key) {
+  const config = JSON.parse(await readFile(VOICES_FILE, 'utf8'));
+  config[key] = { id: voice.voice_id, name: voice.name };
+  await writeFile(VOICES_FILE, `${JSON.stringify(config, null, 2)}\n`);
+  console.log(`✅ "${key}" es ahora ${voice.name} (${voice.voice_id}) en src/services/voices.json`);
+  console.log('   Vuelve a compilar (npm run build) para que la instalación la use.');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      language: { type: 'string', short: 'l' },
+      gender: { type: 'string', short: 'g' },
+      accent: { type: 'string', short: 'a' },
+      sample: { type: 'string' },
+      text: { type: 'string', default: DEFAULT_SAMPLE_TEXT },
+      out: { type: 'string', short: 'o' },
+      model: { type: 'string', default: DEFAULT_SAMPLE_MODEL },
+      use: { type: 'string' },
+      as: { type: 'string', default: 'default' }
+    }
+  });
+
+  const apiKey = loadApiKey();
+  const voices = await fetchVoices(apiKey);
+
+  if (values.sample) {
+    await synthesizeSample(apiKey, findVoice(voices, values.sample), values);
+  }
+  if (values.use) {
+    await saveVoice(findVoice(voices, values.use), values.as);
+  }
+  if (!values.sample && !values.use) {
+    printVoices(filterVoices(voices, values));
   }
 }
 
-listVoices();
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
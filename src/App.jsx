@@ -2,15 +2,20 @@ import React, { useState, useCallback, useEffect, lazy, Suspense, useRef } from
 import WritingCanvas from './components/WritingCanvas/WritingCanvas';
 import Loader from './components/Loader/Loader';
 import ProgressBar from './components/ProgressBar/ProgressBar';
-import { isOpenAIConfigured, generatePoemMultimodal } from './services/ai';
+import { getPoemProviderConfigHint, generatePoemMultimodal, POEM_FORMS, DEFAULT_POEM_FORM, POEM_ERROR_CODES } from './services/ai';
 
 // Lazy load heavy components
 const PoemDisplay = lazy(() => import('./components/PoemDisplay/PoemDisplay'));
 const PoemCarousel = lazy(() => import('./components/PoemCarousel/PoemCarousel'));
+const PoemSearch = lazy(() => import('./components/PoemSearch/PoemSearch'));
 const IdleCarousel = lazy(() => import('./components/IdleCarousel/IdleCarousel'));
-import { savePoem, getRecentPoems, isSupabaseConfigured, uploadPoemInputImage } from './services/supabase';
-import { isElevenLabsConfigured } from './services/elevenlabs';
-import { getSyncChannel } from './services/sync';
+import { queryPoems, getModerationMode, isSupabaseConfigured, APP_SLUG, MODERATION_MODES } from './services/supabase';
+import { startOutbox, createRecordId, queuePoem, queueInputImage, queuePoemVariantPublish } from './services/outbox';
+import { moderatePoem } from './services/moderation';
+import { recordPoemUsage } from './services/usage';
+import { isElevenLabsConfigured, isSpeechAvailable } from './services/elevenlabs';
+import { getSyncChannel, sendSyncEvent } from './services/sync';
+import { AMBIENT_SCREEN, AMBIENT_START_MUTED, AMBIENT_LEVELS, isAmbientSupported, startAmbient, stopAmbient, playAmbient, setAmbientMuted } from './services/ambient';
 
 // App states
 const STATES = {
@@ -20,12 +25,41 @@ const STATES = {
   ERROR: 'error'
 };
 
+// Moderation of the poem on screen (null for poems loaded from history, already published)
+const MODERATION_STATUS = {
+  PENDING: 'pending', // Automatic check running
+  APPROVED: 'approved',
+  IN_REVIEW: 'review', // Passed the automatic check, waits for an admin (pre-moderation)
+  FLAGGED: 'flagged'
+};
+// Versions the visitor can keep: approved, or waiting for an admin
+const KEEPABLE_MODERATION = [MODERATION_STATUS.APPROVED, MODERATION_STATUS.IN_REVIEW];
+
+// Installation config: default poetic form, and whether visitors may pick one on the intro screen
+const INSTALLATION_POEM_FORM = POEM_FORMS[import.meta.env.VITE_POEM_FORM] ? import.meta.env.VITE_POEM_FORM : DEFAULT_POEM_FORM;
+const ALLOW_FORM_CHOICE = import.meta.env.VITE_POEM_FORM_CHOICE === 'true';
+// Show how the canvas was read (recognized text, drawing or strokes) under the poem
+const SHOW_INTERPRETATION = import.meta.env.VITE_SHOW_INTERPRETATION === 'true';
+// Versions a visitor can write from the same canvas ("Otra versión"), the first one included
+const MAX_POEM_VARIANTS = 4;
+// Poems loaded per page in the gallery carousel ("Más poemas" loads the next one)
+const RECENT_POEMS_PAGE_SIZE = 10;
+
+// Error screen titles by PoemGenerationError code
+const ERROR_TITLES = {
+  timeout: 'La musa tarda en llegar',
+  refusal: 'La musa guardó silencio',
+  malformed: 'Las palabras se enredaron',
+  config: 'Falta configuración'
+};
+
 const WRITING_STAGES = {
   INTRO: 'intro',
   CANVAS: 'canvas'
 };
 
 import RippleBackground from './components/RippleBackground/RippleBackground';
+import OutboxStatus from './components/OutboxStatus/OutboxStatus';
 
 const PROJECTION_WATER_FX = {
   filterColor: [0.0, 0.25, 0.55],
@@ -50,15 +84,42 @@ export default function App() {
 
   const [writingStage, setWritingStage] = useState(WRITING_STAGES.INTRO);
   const [poem, setPoem] = useState(null);
+  const [isPoemStreaming, setIsPoemStreaming] = useState(false); // Poem words still arriving
+  const [poemForm, setPoemForm] = useState(DEFAULT_POEM_FORM); // Form of the poem on screen
+  const [poemLanguage, setPoemLanguage] = useState('es'); // ISO 639-1 code of the poem on screen (drives narration)
+  const [moderationStatus, setModerationStatus] = useState(null); // Only approved poems reach the projection
+  const [interpretation, setInterpretation] = useState(null); // { analysis, recognizedText, inputType } of the poem on screen
+  const [selectedForm, setSelectedForm] = useState(INSTALLATION_POEM_FORM); // Form for the next poem
   const [illustration, setIllustration] = useState(null);
   const [emotion, setEmotion] = useState('');
   const [poemId, setPoemId] = useState(null); // ID del poema guardado
   const [existingAudioUrl, setExistingAudioUrl] = useState(null); // Audio from DB
+  const [narrationProfile, setNarrationProfile] = useState(null); // Narration profile saved with that audio
+  const [existingWordTimings, setExistingWordTimings] = useState(null); // When each word of that audio is spoken
+  const [narrationSync, setNarrationSync] = useState(null); // Projection: narration playing on the tablet
   const [recentPoems, setRecentPoems] = useState([]);
+  const [recentPoemsCursor, setRecentPoemsCursor] = useState(null); // Next page of the gallery (null: no more)
   const [isPoemsLoading, setIsPoemsLoading] = useState(true);
+  const isLoadingMorePoemsRef = useRef(false);
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
   const [isIdle, setIsIdle] = useState(false);
   const lastActivityRef = useRef(Date.now());
+  const generationRef = useRef(null); // AbortController of the poem being generated
+  const generationInputRef = useRef(null); // { imageData, faceSnapshot, form } of the submitted canvas, reused by every version
+  const [restoredDrawing, setRestoredDrawing] = useState(null); // Drawing put back on the canvas after a cancel
+
+  // Versions of the submitted canvas: only the visitor's pick is published (gallery, projection)
+  const [variants, setVariants] = useState([]); // { poem, emotion, form, language, interpretation, moderationStatus, illustration, poemId }
+  const variantsRef = useRef([]); // Same list, for the async save pipeline
+  const [variantIndex, setVariantIndex] = useState(0); // Version on screen
+  const variantIndexRef = useRef(0);
+  const [publishedIndex, setPublishedIndex] = useState(null); // Published version (null: none yet, or flagged)
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [variantError, setVariantError] = useState(null);
+  const [isAmbientMuted, setIsAmbientMuted] = useState(AMBIENT_START_MUTED); // Controller: ambient sound switch
+  const variantSavesRef = useRef([]); // Promise of each version's saved record (null when not saved)
+  const moderationModeRef = useRef(MODERATION_MODES.AUTO); // apps.moderation_mode, read on start
 
   // Shared pointer state for water ripple effect
   const sharedPointerRef = useRef({ x: 0, y: 0, down: 0 });
@@ -80,8 +141,9 @@ export default function App() {
       if (isSupabaseConfigured()) {
         try {
           setIsPoemsLoading(true);
-          const poems = await getRecentPoems();
-          if (poems?.length) setRecentPoems(poems);
+          const { poems, nextCursor } = await queryPoems({ limit: RECENT_POEMS_PAGE_SIZE, appSlug: APP_SLUG });
+          if (poems.length) setRecentPoems(poems);
+          setRecentPoemsCursor(nextCursor);
         } catch (error) {
           console.error('Failed to load recent poems:', error);
         } finally {
@@ -96,14 +158,17 @@ export default function App() {
 
   // Check configuration on mount
   const configWarnings = [];
-  if (!isOpenAIConfigured()) {
-    configWarnings.push('⚠️ Configura VITE_OPENAI_API_KEY en el archivo .env');
+  const poemProviderHint = getPoemProviderConfigHint();
+  if (poemProviderHint) {
+    configWarnings.push(`⚠️ ${poemProviderHint}`);
   }
   if (!isSupabaseConfigured()) {
     configWarnings.push('⚠️ Configura las variables de Supabase en el archivo .env');
   }
   if (!isElevenLabsConfigured()) {
-    console.info('ℹ️ ElevenLabs no configurado - La lectura de poemas estará deshabilitada');
+    console.info(isSpeechAvailable()
+      ? 'ℹ️ ElevenLabs no configurado - Los poemas se leerán con la voz del navegador'
+      : 'ℹ️ ElevenLabs no configurado - La lectura de poemas estará deshabilitada');
   }
 
   // Idle Mode Logic
@@ -145,78 +210,293 @@ export default function App() {
     return () => clearInterval(interval);
   }, [isIdle, isProjectionMode]);
 
-  const handleCanvasSubmit = useCallback(async (imageData) => {
+  const commitVariants = useCallback((nextVariants) => {
+    variantsRef.current = nextVariants;
+    setVariants(nextVariants);
+  }, []);
+
+  const resetVariants = useCallback(() => {
+    commitVariants([]);
+    variantSavesRef.current = [];
+    variantIndexRef.current = 0;
+    setVariantIndex(0);
+    setPublishedIndex(null);
+    setIsRegenerating(false);
+    setVariantError(null);
+  }, [commitVariants]);
+
+  // Put one version of the canvas on screen
+  const showVariant = useCallback((variant, index) => {
+    variantIndexRef.current = index;
+    setVariantIndex(index);
+    setPoem(variant.poem);
+    setIsPoemStreaming(false);
+    setEmotion(variant.emotion);
+    setPoemForm(variant.form);
+    setPoemLanguage(variant.language);
+    setInterpretation(variant.interpretation);
+    setModerationStatus(variant.moderationStatus);
+    setIllustration(variant.illustration);
+    setPoemId(variant.poemId);
+    setExistingAudioUrl(null);
+    setNarrationProfile(null);
+    setExistingWordTimings(null);
+  }, []);
+
+  // Record what the save pipeline learns about a version, on screen too if it is the one shown
+  const updateVariant = useCallback((index, changes) => {
+    commitVariants(variantsRef.current.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+    if (variantIndexRef.current !== index) return;
+    if ('moderationStatus' in changes) setModerationStatus(changes.moderationStatus);
+    if ('illustration' in changes) setIllustration(changes.illustration);
+    if ('poemId' in changes) setPoemId(changes.poemId);
+  }, [commitVariants]);
+
+  // Moderate and save a version. The first one uploads the canvas and is published;
+  // the others reuse its image, point to it as their parent and wait for the visitor's pick.
+  // Saving goes through the outbox: the record (and its client-side id) is known right away,
+  // the database gets it as soon as the network allows.
+  const saveVariant = useCallback(async (index, result) => {
+    const isFirstVersion = index === 0;
+    // Results arriving after the visitor moved on to another canvas only go to the database
+    const canvasSaves = variantSavesRef.current;
+    const update = (changes) => {
+      if (variantSavesRef.current === canvasSaves) updateVariant(index, changes);
+    };
+
+    // Moderate the canvas reading and the poem before anything is published
+    const moderation = await moderatePoem(result);
+    if (moderation.flagged) {
+        console.warn(`🚫 Poem flagged by moderation (${moderation.backend}):`, moderation.categories);
+    }
+    const isPreModerated = moderationModeRef.current === MODERATION_MODES.PRE;
+    update({ moderationStatus: moderation.flagged
+      ? MODERATION_STATUS.FLAGGED
+      : isPreModerated ? MODERATION_STATUS.IN_REVIEW : MODERATION_STATUS.APPROVED });
+    if (isFirstVersion && !moderation.flagged && variantSavesRef.current === canvasSaves) setPublishedIndex(0);
+
+    if (!isSupabaseConfigured()) return null;
+
+    try {
+      const poemId = createRecordId();
+      let savedImageUrl = null;
+      let parentPoem = null;
+      if (isFirstVersion) {
+        // Upload Canvas Input (Drawing/Text)
+        const { imageData } = generationInputRef.current;
+        if (imageData) {
+          console.log('⬆️ Queueing canvas input image...');
+          const upload = await queueInputImage(imageData, result.emotion, poemId);
+          savedImageUrl = upload?.url || null;
+          // Shown once the file is there
+          upload?.sent.then(() => update({ illustration: savedImageUrl }));
+        }
+      } else {
+        parentPoem = await canvasSaves[0];
+        savedImageUrl = parentPoem?.image_url || null;
+        if (savedImageUrl) update({ illustration: savedImageUrl });
+      }
+
+      const savedPoem = await queuePoem({ 
+          id: poemId,
+          emotion: result.emotion, 
+          poem: result.poem, 
+          illustration: savedImageUrl, // Save canvas drawing URL
+          model: result.model,
+          form: result.form,
+          language: result.language,
+          analysis: result.analysis,
+          recognizedText: result.recognizedText,
+          inputType: result.inputType,
+          promptVersion: result.promptVersion,
+          parentPoemId: parentPoem?.id || null,
+          isPublished: isFirstVersion,
+          moderation
+      });
+
+      if (savedPoem?.id) {
+          update({ poemId: savedPoem.id });
+          if (isFirstVersion && !moderation.flagged && !isPreModerated) {
+              setRecentPoems(prev => [savedPoem, ...prev]);
+          }
+      }
+      return savedPoem;
+    } catch (err) {
+      console.error('Failed to save poem:', err);
+      return null;
+    }
+  }, [updateVariant]);
+
+  // Write one version of the submitted canvas (0: the first poem, then "Otra versión")
+  const generateVariant = useCallback(async (index) => {
+    const { imageData, faceSnapshot, form } = generationInputRef.current;
+    const isFirstVersion = index === 0;
+    const generation = new AbortController();
+    generationRef.current = generation;
+
     try {
       setAppState(STATES.PROCESSING);
       setError(null);
+      setErrorCode(null);
+      setVariantError(null);
       setIllustration(null);
-      
-      // Step 1: Capture Face (if available)
-      let faceSnapshot = null;
-      if (backgroundRef.current) {
-        faceSnapshot = backgroundRef.current.getSnapshot();
-        if (faceSnapshot) {
-            console.log(`📸 Face captured successfully! Size: ${Math.round(faceSnapshot.length / 1024)} KB`);
-        } else {
-            console.log('⚠️ No face captured (Snapshot returned null)');
+      setEmotion('');
+      setInterpretation(null);
+      setModerationStatus(MODERATION_STATUS.PENDING);
+
+      console.log(`✨ Generating poem from stroke + face (Multimodal${isFirstVersion ? '' : `, version ${index + 1}`})...`);
+      setPoemForm(form);
+      const result = await generatePoemMultimodal(imageData, faceSnapshot, {
+        form,
+        variant: index,
+        signal: generation.signal,
+        // Emotion arrives first, then the poem word by word
+        onProgress: ({ emotion: partialEmotion, poem: partialPoem }) => {
+          if (partialEmotion) setEmotion(partialEmotion);
+          if (partialPoem) {
+            setPoem(partialPoem);
+            setIsPoemStreaming(true);
+            setAppState(STATES.POEM);
+          }
         }
+      });
+      if (generation.signal.aborted) {
+        recordPoemUsage({ usage: result?.usage });
+        return;
       }
 
-      // Step 2: Generate Multimodal Poem
-      console.log('✨ Generating poem from stroke + face (Multimodal)...');
-      const result = await generatePoemMultimodal(imageData, faceSnapshot);
-      
-      // Handle Poem
-      if (result && result.poem) {
-        if (result.analysis) {
-            console.log('🧠 AI Interpretation:', result.analysis);
-        }
-        const recognizedEmotion = result.emotion;
-        const generatedPoem = result.poem;
-        setEmotion(recognizedEmotion);
-        setPoem(generatedPoem);
-        setAppState(STATES.POEM);
-        
-        // Step 2b: Upload Canvas Input (Drawing/Text)
-        let savedImageUrl = null;
-        if (imageData && isSupabaseConfigured()) {
-             console.log('⬆️ Uploading canvas input image...');
-             savedImageUrl = await uploadPoemInputImage(imageData, recognizedEmotion);
-             if (savedImageUrl) setIllustration(savedImageUrl);
-        }
-
-        // Step 3: Upload & Save (non-blocking for UI, but blocking for DB consistency)
-        if (isSupabaseConfigured()) {
-          (async () => {
-             try {
-                const savedPoem = await savePoem({ 
-                    emotion: recognizedEmotion, 
-                    poem: generatedPoem, 
-                    illustration: savedImageUrl, // Save canvas drawing URL
-                    model: 'gpt-4o' 
-                });
-                
-                if (savedPoem?.id) {
-                    setPoemId(savedPoem.id);
-                    setRecentPoems(prev => [savedPoem, ...prev].slice(0, 20));
-                }
-             } catch (err) {
-                 console.error('Failed to save poem:', err);
-             }
-          })();
-        }
-      } else {
+      if (!result || !result.poem) {
         throw new Error('No se pudo generar el poema. Por favor intenta de nuevo.');
       }
-      
+      if (result.analysis) {
+          console.log('🧠 AI Interpretation:', result.analysis);
+      }
+
+      const variant = {
+        poem: result.poem,
+        emotion: result.emotion,
+        form: result.form,
+        language: result.language,
+        interpretation: { analysis: result.analysis, recognizedText: result.recognizedText, inputType: result.inputType },
+        moderationStatus: MODERATION_STATUS.PENDING,
+        illustration: null,
+        poemId: null
+      };
+      commitVariants([...variantsRef.current, variant]);
+      showVariant(variant, index);
+      setIsRegenerating(false);
+      setAppState(STATES.POEM);
+
+      // Moderation and saving go on in the background (the next version waits for this one's record)
+      const save = saveVariant(index, result);
+      variantSavesRef.current[index] = save;
+      // The tokens count whether or not the poem gets saved; queued after its record, so they can point to it
+      save.catch(() => null).then(savedPoem => recordPoemUsage({ usage: result.usage, poemId: savedPoem?.id }));
     } catch (err) {
-      console.error('Error:', err);
+      // Failed and cancelled generations were billed for the steps that answered
+      recordPoemUsage({ usage: err.usage });
+      // Cancelled from the progress screen: the canvas (or the previous version) is already back
+      if (err.code === POEM_ERROR_CODES.CANCELLED) return;
+      console.error(`Error${err.code ? ` [${err.code}]` : ''}:`, err);
+      setIsPoemStreaming(false);
+
+      if (!isFirstVersion) {
+        // Keep the versions already written: back to the one on screen
+        setIsRegenerating(false);
+        showVariant(variantsRef.current[variantIndexRef.current], variantIndexRef.current);
+        setVariantError('No se pudo escribir otra versión. Intenta de nuevo.');
+        setAppState(STATES.POEM);
+        return;
+      }
+
+      setModerationStatus(null);
       setError(err.message || 'Ocurrió un error. Intenta de nuevo.');
+      setErrorCode(err.code || null);
       setAppState(STATES.ERROR);
     }
     handleInteraction();
+  }, [handleInteraction, commitVariants, showVariant, saveVariant]);
+
+  const handleCanvasSubmit = useCallback((imageData) => {
+    setRestoredDrawing(null);
+    resetVariants();
+
+    // Capture Face (if available): every version of this canvas uses the same snapshot
+    let faceSnapshot = null;
+    if (backgroundRef.current) {
+      faceSnapshot = backgroundRef.current.getSnapshot();
+      if (faceSnapshot) {
+          console.log(`📸 Face captured successfully! Size: ${Math.round(faceSnapshot.length / 1024)} KB`);
+      } else {
+          console.log('⚠️ No face captured (Snapshot returned null)');
+      }
+    }
+
+    generationInputRef.current = { imageData, faceSnapshot, form: selectedForm };
+    return generateVariant(0);
+  }, [selectedForm, resetVariants, generateVariant]);
+
+  // "Otra versión": write another poem from the same canvas and face snapshot
+  const handleRegenerate = useCallback(() => {
+    handleInteraction();
+    if (!generationInputRef.current || variantsRef.current.length >= MAX_POEM_VARIANTS) return;
+    setIsRegenerating(true);
+    generateVariant(variantsRef.current.length);
+  }, [handleInteraction, generateVariant]);
+
+  const handleSelectVariant = useCallback((index) => {
+    handleInteraction();
+    const variant = variantsRef.current[index];
+    if (variant) showVariant(variant, index);
+  }, [handleInteraction, showVariant]);
+
+  // The visitor keeps the version on screen: it replaces its siblings in the gallery and on the projection
+  const handlePublishVariant = useCallback(async () => {
+    handleInteraction();
+    const index = variantIndexRef.current;
+    const status = variantsRef.current[index]?.moderationStatus;
+    if (!KEEPABLE_MODERATION.includes(status)) return;
+    setPublishedIndex(index);
+
+    const savedPoem = await variantSavesRef.current[index];
+    if (!savedPoem?.id) return;
+    await queuePoemVariantPublish(savedPoem.id);
+    // Under pre-moderation the gallery gets it once an admin approves it
+    if (status !== MODERATION_STATUS.APPROVED) return;
+
+    const savedVersions = await Promise.all(variantSavesRef.current);
+    const versionIds = new Set(savedVersions.filter(Boolean).map(version => version.id));
+    setRecentPoems(prev => [
+      { ...savedPoem, is_published: true },
+      ...prev.filter(item => !versionIds.has(item.id))
+    ]);
   }, [handleInteraction]);
 
+  // Abandon the poem being generated: back to the canvas with the same drawing,
+  // or to the version on screen when it was another version of it
+  const handleCancelGeneration = useCallback(() => {
+    generationRef.current?.abort();
+    generationRef.current = null;
+
+    if (isRegenerating) {
+      setIsRegenerating(false);
+      showVariant(variantsRef.current[variantIndexRef.current], variantIndexRef.current);
+      setAppState(STATES.POEM);
+      handleInteraction();
+      return;
+    }
+
+    setAppState(STATES.WRITING);
+    setWritingStage(WRITING_STAGES.CANVAS);
+    setRestoredDrawing(generationInputRef.current?.imageData || null);
+    setPoem(null);
+    setIsPoemStreaming(false);
+    setModerationStatus(null);
+    setInterpretation(null);
+    setEmotion('');
+    handleInteraction();
+  }, [handleInteraction, isRegenerating, showVariant]);
+
   const handleNewPoem = useCallback(() => {
     // Mandar señal de limpieza a la proyección vía Supabase Realtime
     const channel = getSyncChannel();
@@ -233,13 +513,22 @@ export default function App() {
     setAppState(STATES.WRITING);
     setWritingStage(WRITING_STAGES.INTRO);
     setPoem(null);
+    setIsPoemStreaming(false);
+    setSelectedForm(INSTALLATION_POEM_FORM);
+    setRestoredDrawing(null);
+    resetVariants();
+    setModerationStatus(null);
+    setInterpretation(null);
     setIllustration(null);
     setEmotion('');
     setPoemId(null);
     setExistingAudioUrl(null);
+    setNarrationProfile(null);
+    setExistingWordTimings(null);
     setError(null);
+    setErrorCode(null);
     handleInteraction();
-  }, [handleInteraction]);
+  }, [handleInteraction, resetVariants]);
 
   const handleStartWriting = useCallback(() => {
     setWritingStage(WRITING_STAGES.CANVAS);
@@ -248,13 +537,60 @@ export default function App() {
 
   const handleSelectHistoryPoem = useCallback((poemItem) => {
     // Load a poem from history
+    resetVariants();
     setEmotion(poemItem.emotion);
     setPoem(poemItem.poem);
+    setIsPoemStreaming(false);
+    setPoemForm(poemItem.form || DEFAULT_POEM_FORM);
+    setPoemLanguage(poemItem.language || 'es');
+    setModerationStatus(null);
+    setInterpretation(poemItem.analysis || poemItem.input_type
+      ? { analysis: poemItem.analysis, recognizedText: poemItem.recognized_text, inputType: poemItem.input_type }
+      : null);
     setIllustration(poemItem.image_url || null);
     setPoemId(poemItem.id || null); // Set poem ID for audio reuse
     setExistingAudioUrl(poemItem.audio_url || null); // Load existing audio
+    setNarrationProfile(poemItem.audio_voice_profile || null);
+    setExistingWordTimings(poemItem.audio_word_timings || null);
     setAppState(STATES.POEM);
-  }, []);
+  }, [resetVariants]);
+
+  // While the visitor writes or browses other versions, the projection keeps the
+  // published one (or the blank canvas when none is published)
+  const isBrowsingVariants = isRegenerating || (variants.length > 1 && variantIndex !== publishedIndex);
+  // Poems awaiting or failing moderation stay on the tablet: the projection keeps
+  // waiting (automatic check) or goes back to the blank canvas (flagged, or waiting for an admin)
+  const isWithheld = [MODERATION_STATUS.PENDING, MODERATION_STATUS.IN_REVIEW, MODERATION_STATUS.FLAGGED].includes(moderationStatus);
+  const isOnProjection = !isBrowsingVariants && !isWithheld;
+
+  // Narration playback on the tablet, followed by the projection to highlight the same word
+  // (only for the poem the projection shows: the narration carries its text)
+  const handleNarrationChange = useCallback((narration) => {
+    if (isOnProjection && isSupabaseConfigured()) sendSyncEvent('NARRATION', narration);
+  }, [isOnProjection]);
+
+  const handleToggleAmbient = useCallback((e) => {
+    e.stopPropagation();
+    handleInteraction();
+    setIsAmbientMuted(muted => !muted);
+  }, [handleInteraction]);
+
+  // Next page of the gallery, after the poems already in it
+  const handleLoadMorePoems = useCallback(async () => {
+    handleInteraction();
+    if (!recentPoemsCursor || isLoadingMorePoemsRef.current) return;
+    isLoadingMorePoemsRef.current = true;
+    try {
+      const { poems, nextCursor } = await queryPoems({ limit: RECENT_POEMS_PAGE_SIZE, cursor: recentPoemsCursor, appSlug: APP_SLUG });
+      setRecentPoems(prev => {
+        const loadedIds = new Set(prev.map(item => item.id));
+        return [...prev, ...poems.filter(item => !loadedIds.has(item.id))];
+      });
+      setRecentPoemsCursor(nextCursor);
+    } finally {
+      isLoadingMorePoemsRef.current = false;
+    }
+  }, [recentPoemsCursor, handleInteraction]);
 
   const handleOpenGallery = useCallback((e) => {
     e.stopPropagation();
@@ -264,6 +600,20 @@ export default function App() {
   }, [recentPoems, handleSelectHistoryPoem]);
 
 
+  // Send what an earlier visit left unsaved, and keep retrying while the network is down
+  useEffect(() => {
+    if (!isProjectionMode) startOutbox();
+  }, [isProjectionMode]);
+
+  // Whether new poems wait for an admin before reaching the projection and the gallery
+  useEffect(() => {
+    if (isProjectionMode || !isSupabaseConfigured()) return;
+    getModerationMode().then(mode => {
+      moderationModeRef.current = mode;
+      if (mode === MODERATION_MODES.PRE) console.log('🕵️ Pre-moderation: new poems wait for an admin');
+    });
+  }, [isProjectionMode]);
+
   useEffect(() => {
     if (!isProjectionMode) {
       const handleBeforeUnload = () => {
@@ -300,6 +650,10 @@ export default function App() {
             setAppState(data.appState);
             setWritingStage(data.writingStage);
             setPoem(data.poem);
+            setIsPoemStreaming(data.isPoemStreaming || false);
+            setPoemForm(data.poemForm || DEFAULT_POEM_FORM);
+            setPoemLanguage(data.poemLanguage || 'es');
+            setInterpretation(data.interpretation || null);
             setEmotion(data.emotion);
             setPoemId(data.poemId || null);
             setIllustration(data.illustration || null);
@@ -312,11 +666,20 @@ export default function App() {
           setAppState(STATES.WRITING);
           setWritingStage(WRITING_STAGES.INTRO);
           setPoem(null);
+          setIsPoemStreaming(false);
           setEmotion('');
           setPoemId(null);
           setExistingAudioUrl(null);
           setIsIdle(false);
         })
+        .on('broadcast', { event: 'NARRATION' }, (payload) => {
+          // Received now: the position is measured from this device's clock
+          if (payload?.payload?.data) setNarrationSync({ ...payload.payload.data, at: Date.now() });
+        })
+        .on('broadcast', { event: 'AMBIENT' }, (payload) => {
+          console.log('[PROJECTION] 📥 Sonido ambiente:', payload.payload.data);
+          setAmbientMuted(Boolean(payload.payload.data.muted));
+        })
         .on('broadcast', { event: 'IDLE_STATUS' }, (payload) => {
           console.log('[PROJECTION] 📥 Estado de inactividad:', payload.payload.data.isIdle);
           setIsIdle(payload.payload.data.isIdle);
@@ -338,15 +701,63 @@ export default function App() {
     if (!isProjectionMode && isSupabaseConfigured()) {
       const channel = getSyncChannel();
       if (channel) {
-        console.log('📤 Enviando actualización de estado:', { appState, writingStage });
+        const publishedVariant = variants[publishedIndex]?.moderationStatus === MODERATION_STATUS.APPROVED ? variants[publishedIndex] : null;
+        let data;
+        if (isBrowsingVariants && publishedVariant) {
+          data = {
+            appState: STATES.POEM,
+            writingStage,
+            poem: publishedVariant.poem,
+            isPoemStreaming: false,
+            poemForm: publishedVariant.form,
+            poemLanguage: publishedVariant.language,
+            interpretation: publishedVariant.interpretation,
+            emotion: publishedVariant.emotion,
+            poemId: publishedVariant.poemId,
+            illustration: publishedVariant.illustration,
+            existingAudioUrl: null
+          };
+        } else if (isBrowsingVariants || isWithheld) {
+          data = {
+            appState: !isBrowsingVariants && moderationStatus === MODERATION_STATUS.PENDING ? STATES.PROCESSING : STATES.WRITING,
+            writingStage: WRITING_STAGES.INTRO,
+            poem: null,
+            emotion: ''
+          };
+        } else {
+          data = { appState, writingStage, poem, isPoemStreaming, poemForm, poemLanguage, interpretation, emotion, poemId, illustration, existingAudioUrl };
+        }
+
+        console.log('📤 Enviando actualización de estado:', { appState: data.appState, writingStage: data.writingStage, moderationStatus });
         channel.send({
           type: 'broadcast',
           event: 'STATE_CHANGE',
-          payload: { data: { appState, writingStage, poem, emotion, poemId, illustration, existingAudioUrl } }
+          payload: { data }
         });
       }
     }
-  }, [appState, writingStage, poem, emotion, poemId, illustration, existingAudioUrl, isProjectionMode]);
+  }, [appState, writingStage, poem, isPoemStreaming, poemForm, poemLanguage, interpretation, moderationStatus, emotion, poemId, illustration, existingAudioUrl, variants, publishedIndex, isBrowsingVariants, isWithheld, isProjectionMode]);
+
+  // Ambient sound: plays on AMBIENT_SCREEN, following the emotion on screen (the idle carousel picks its own)
+  const isAmbientScreen = AMBIENT_SCREEN === (isProjectionMode ? 'projection' : 'controller');
+  useEffect(() => {
+    if (!isAmbientScreen) return;
+    startAmbient();
+    return stopAmbient;
+  }, [isAmbientScreen]);
+
+  useEffect(() => {
+    if (isAmbientScreen && !isIdle) playAmbient(emotion, AMBIENT_LEVELS.POEM);
+  }, [isAmbientScreen, isIdle, emotion]);
+
+  // The controller holds the mute switch, wherever the sound plays
+  const canMuteAmbient = !isProjectionMode && isAmbientSupported()
+    && (AMBIENT_SCREEN === 'controller' || (AMBIENT_SCREEN === 'projection' && isSupabaseConfigured()));
+  useEffect(() => {
+    if (!canMuteAmbient) return;
+    if (isAmbientScreen) setAmbientMuted(isAmbientMuted);
+    else sendSyncEvent('AMBIENT', { muted: isAmbientMuted });
+  }, [canMuteAmbient, isAmbientScreen, isAmbientMuted]);
 
   const isWritingIntro = appState === STATES.WRITING && writingStage === WRITING_STAGES.INTRO;
   const isWritingCanvas = appState === STATES.WRITING && writingStage === WRITING_STAGES.CANVAS;
@@ -373,10 +784,15 @@ export default function App() {
                <Suspense fallback={null}>
                   <PoemDisplay 
                     poem={poem} 
+                    isStreaming={isPoemStreaming}
+                    form={poemForm}
+                    language={poemLanguage}
+                    interpretation={SHOW_INTERPRETATION ? interpretation : null}
                     emotion={emotion} 
                     illustration={illustration}
                     poemId={poemId}
                     existingAudioUrl={existingAudioUrl}
+                    narrationSync={narrationSync}
                     isProjection={true} 
                   />
                </Suspense>
@@ -398,6 +814,26 @@ export default function App() {
   return (
     <div className={`app ${appState === STATES.POEM ? 'app-scrollable' : 'app-fixed'} ${isRippleEnabled ? 'app-fullscreen' : ''}`}>
       <RippleBackground ref={backgroundRef} enabled={isRippleEnabled} sharedPointerRef={sharedPointerRef} />
+      {/* Ambient sound switch */}
+      {canMuteAmbient && (
+        <button
+          className="ambient-toggle"
+          onClick={handleToggleAmbient}
+          aria-label={isAmbientMuted ? 'Activar sonido ambiente' : 'Silenciar sonido ambiente'}
+          aria-pressed={!isAmbientMuted}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M11 5 6 9H2v6h4l5 4V5z" />
+            {isAmbientMuted ? (
+              <path d="m23 9-6 6M17 9l6 6" />
+            ) : (
+              <path d="M15.5 8.5a5 5 0 0 1 0 7M19 5a10 10 0 0 1 0 14" />
+            )}
+          </svg>
+        </button>
+      )}
+      {/* Poems waiting for the network */}
+      <OutboxStatus />
       {/* Configuration Warnings */}
       {configWarnings.length > 0 && appState === STATES.WRITING && !isRippleEnabled && (
         <div className="config-warnings">
@@ -425,6 +861,7 @@ export default function App() {
               galleryCount={recentPoems.length}
               onInteractionStart={handleStartWriting}
               onInteraction={handleInteraction}
+              initialImage={restoredDrawing}
             />
           </div>
       )}
@@ -437,6 +874,25 @@ export default function App() {
         >
           <div className="intro-title">Eres un poema</div>
           <div className="intro-cta">Toca para comenzar</div>
+
+          {/* Poetic form choice - only when the installation allows it */}
+          {ALLOW_FORM_CHOICE && (
+            <div className="form-picker" style={{ pointerEvents: 'auto' }}>
+              {Object.values(POEM_FORMS).map(form => (
+                <button
+                  key={form.id}
+                  className={`form-chip ${selectedForm === form.id ? 'selected' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelectedForm(form.id);
+                    handleInteraction();
+                  }}
+                >
+                  {form.label}
+                </button>
+              ))}
+            </div>
+          )}
           
           {/* Gallery Link (Restored) - Needs pointer events enabled specifically */}
           {SHOW_GALLERY && !isPoemsLoading && recentPoems.length > 0 && (
@@ -453,7 +909,10 @@ export default function App() {
 
       {/* Processing State */}
       {appState === STATES.PROCESSING && (
-        <ProgressBar />
+        <ProgressBar
+          text={emotion ? `Escribiendo sobre ${emotion.toLowerCase()}...` : undefined}
+          onCancel={handleCancelGeneration}
+        />
       )}
 
       {/* Poem Display State */}
@@ -462,9 +921,30 @@ export default function App() {
           <Suspense fallback={<Loader emotion={emotion} />}>
             <PoemDisplay 
               poem={poem}
+              isStreaming={isPoemStreaming}
+              form={poemForm}
+              language={poemLanguage}
+              isPrivate={moderationStatus === MODERATION_STATUS.FLAGGED}
+              isInReview={moderationStatus === MODERATION_STATUS.IN_REVIEW}
+              isModerating={moderationStatus === MODERATION_STATUS.PENDING}
+              interpretation={SHOW_INTERPRETATION ? interpretation : null}
               emotion={emotion}
               existingAudioUrl={existingAudioUrl}
+              narrationProfile={narrationProfile}
+              existingWordTimings={existingWordTimings}
+              onNarrationChange={handleNarrationChange}
               poemId={poemId}
+              variants={variants.length > 0 && !isRegenerating ? {
+                index: variantIndex,
+                count: variants.length,
+                isPublished: variantIndex === publishedIndex,
+                canPublish: KEEPABLE_MODERATION.includes(variants[variantIndex]?.moderationStatus),
+                canRegenerate: variants.length < MAX_POEM_VARIANTS,
+                error: variantError
+              } : null}
+              onRegenerate={handleRegenerate}
+              onSelectVariant={handleSelectVariant}
+              onPublishVariant={handlePublishVariant}
               onNewPoem={handleNewPoem}
               onInteraction={handleInteraction}
             />
@@ -475,9 +955,20 @@ export default function App() {
       {/* History Carousel - Visible in Writing and Poem states */}
       {SHOW_CAROUSEL && appState === STATES.POEM && (recentPoems.length > 0 || isPoemsLoading) && (
         <Suspense fallback={null}>
+          {isSupabaseConfigured() && (
+            <PoemSearch
+              onInteraction={handleInteraction}
+              onSelect={(item) => {
+                handleInteraction();
+                handleSelectHistoryPoem(item);
+              }}
+            />
+          )}
           <PoemCarousel 
             poems={recentPoems} 
             isLoading={isPoemsLoading}
+            hasMore={Boolean(recentPoemsCursor)}
+            onLoadMore={handleLoadMorePoems}
             onSelect={(item) => {
               handleInteraction();
               handleSelectHistoryPoem(item);
@@ -488,9 +979,9 @@ export default function App() {
 
       {/* Error State */}
       {appState === STATES.ERROR && (
-        <div className="error-screen animate-fade-in-up">
+        <div className="error-screen animate-fade-in-up" data-error-code={errorCode || undefined}>
           <div className="error-icon">😔</div>
-          <h2>Algo salió mal</h2>
+          <h2>{ERROR_TITLES[errorCode] || 'Algo salió mal'}</h2>
           <p>{error}</p>
           <button className="btn btn-primary" onClick={handleNewPoem}>
             Intentar de nuevo
@@ -0,0 +1,280 @@
+import { useState, useEffect } from 'react';
+import {
+  isSupabaseConfigured,
+  getAdminUser,
+  signInAdmin,
+  signOutAdmin,
+  getPoemStatusCounts,
+  getPoemsForReview,
+  setPoemsStatus,
+  POEM_STATUSES
+} from '../../services/supabase';
+import './AdminReview.css';
+
+const TABS = [
+  { status: POEM_STATUSES.PENDING, label: 'Pendientes' },
+  { status: POEM_STATUSES.APPROVED, label: 'Aprobados' },
+  { status: POEM_STATUSES.FEATURED, label: 'Destacados' },
+  { status: POEM_STATUSES.HIDDEN, label: 'Ocultos' }
+];
+
+const ACTIONS = [
+  { status: POEM_STATUSES.APPROVED, label: 'Aprobar', done: 'aprobado' },
+  { status: POEM_STATUSES.FEATURED, label: 'Destacar', done: 'destacado' },
+  { status: POEM_STATUSES.HIDDEN, label: 'Ocultar', done: 'oculto' }
+];
+
+const PAGE_SIZE = 30;
+
+function SignInForm({ onSignedIn }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSigningIn(true);
+    setError(null);
+    const admin = await signInAdmin(email.trim(), password);
+    setIsSigningIn(false);
+    if (admin) onSignedIn(admin);
+    else setError('Correo o contraseña incorrectos');
+  };
+
+  return (
+    <form className="admin-sign-in" onSubmit={handleSubmit}>
+      <h1>Revisión de poemas</h1>
+      <input type="email" placeholder="Correo" autoComplete="username" value={email} onChange={e => setEmail(e.target.value)} required />
+      <input type="password" placeholder="Contraseña" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} required />
+      {error && <p className="admin-error">{error}</p>}
+      <button type="submit" className="btn btn-primary" disabled={isSigningIn}>
+        {isSigningIn ? 'Entrando…' : 'Entrar'}
+      </button>
+    </form>
+  );
+}
+
+function ReviewCard({ poem, isSelected, isBusy, onToggle, onSetStatus }) {
+  return (
+    <li className={`admin-poem ${isSelected ? 'selected' : ''}`}>
+      <label className="admin-poem-select">
+        <input type="checkbox" checked={isSelected} onChange={() => onToggle(poem.id)} />
+      </label>
+      {poem.image_url && <img className="admin-poem-image" src={poem.image_url} alt={poem.emotion} loading="lazy" />}
+      <div className="admin-poem-body">
+        <div className="admin-poem-meta">
+          <strong>{poem.emotion}</strong>
+          <span>{new Date(poem.created_at).toLocaleString('es-ES')}</span>
+          {poem.apps?.name && <span>{poem.apps.name}</span>}
+          {poem.moderation_flagged && (
+            <span className="admin-badge flagged">Marcado: {poem.moderation_categories?.join(', ') || 'sí'}</span>
+          )}
+          {!poem.is_published && <span className="admin-badge">Versión no elegida</span>}
+        </div>
+        <p className="admin-poem-text">{poem.poem}</p>
+        {(poem.recognized_text || poem.analysis) && (
+          <p className="admin-poem-analysis">
+            {poem.recognized_text && <>«{poem.recognized_text}» · </>}
+            {poem.analysis}
+          </p>
+        )}
+        {poem.audio_url && <audio className="admin-poem-audio" src={poem.audio_url} controls preload="none" />}
+        <div className="admin-poem-actions">
+          {ACTIONS.filter(action => action.status !== poem.status).map(action => (
+            <button
+              key={action.status}
+              type="button"
+              className={`btn btn-ghost admin-action-${action.status}`}
+              disabled={isBusy}
+              onClick={() => onSetStatus([poem.id], action)}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+// Admin view (?view=admin): review queue of new poems, and bulk approve, feature or hide
+export default function AdminReview() {
+  const [admin, setAdmin] = useState(undefined); // undefined: checking the session, null: signed out
+  const [status, setStatus] = useState(POEM_STATUSES.PENDING);
+  const [poems, setPoems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [counts, setCounts] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+  const [isBusy, setIsBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const isAdmin = Boolean(admin?.isAdmin);
+
+  useEffect(() => {
+    getAdminUser().then(setAdmin);
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    let isCancelled = false;
+    getPoemsForReview({ status, limit: PAGE_SIZE }).then(page => {
+      if (isCancelled) return;
+      setPoems(page.poems);
+      setNextCursor(page.nextCursor);
+      setIsLoading(false);
+    });
+    getPoemStatusCounts().then(latest => {
+      if (!isCancelled && latest) setCounts(latest);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [isAdmin, status]);
+
+  const handleSelectTab = (tabStatus) => {
+    if (tabStatus === status) return;
+    setStatus(tabStatus);
+    setPoems([]);
+    setNextCursor(null);
+    setIsLoading(true);
+    setSelected(new Set());
+    setNotice(null);
+  };
+
+  const handleLoadMore = async () => {
+    setIsLoading(true);
+    const page = await getPoemsForReview({ status, limit: PAGE_SIZE, cursor: nextCursor });
+    setPoems(prev => [...prev, ...page.poems]);
+    setNextCursor(page.nextCursor);
+    setIsLoading(false);
+  };
+
+  const handleToggle = (poemId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(poemId)) next.delete(poemId);
+      else next.add(poemId);
+      return next;
+    });
+  };
+
+  const handleToggleAll = () => {
+    setSelected(prev => (prev.size === poems.length ? new Set() : new Set(poems.map(poem => poem.id))));
+  };
+
+  const handleSetStatus = async (poemIds, action) => {
+    setIsBusy(true);
+    const changed = await setPoemsStatus(poemIds, action.status);
+    setIsBusy(false);
+    if (!changed) {
+      setNotice('No se pudo guardar el cambio. ¿Sigue abierta la sesión?');
+      return;
+    }
+
+    // Reviewed poems leave this tab
+    const changedIds = new Set(changed);
+    setPoems(prev => prev.filter(poem => !changedIds.has(poem.id)));
+    setSelected(prev => new Set([...prev].filter(id => !changedIds.has(id))));
+    setNotice(changed.length === 1 ? `1 poema ${action.done}` : `${changed.length} poemas ${action.done}s`);
+    const latest = await getPoemStatusCounts();
+    if (latest) setCounts(latest);
+  };
+
+  const handleSignOut = async () => {
+    await signOutAdmin();
+    setAdmin(null);
+    setPoems([]);
+    setCounts(null);
+    setSelected(new Set());
+  };
+
+  if (!isSupabaseConfigured()) {
+    return <div className="admin-review"><p className="admin-empty">Configura las variables de Supabase en el archivo .env</p></div>;
+  }
+  if (admin === undefined) {
+    return <div className="admin-review" />;
+  }
+  if (!admin) {
+    return <div className="admin-review"><SignInForm onSignedIn={setAdmin} /></div>;
+  }
+  if (!isAdmin) {
+    return (
+      <div className="admin-review">
+        <p className="admin-empty">
+          {admin.user.email} no puede revisar poemas: hay que añadir la cuenta a <code>poem_admins</code>.
+        </p>
+        <button type="button" className="btn btn-ghost" onClick={handleSignOut}>Salir</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-review">
+      <header className="admin-header">
+        <h1>Revisión de poemas</h1>
+        <span className="admin-user">{admin.user.email}</span>
+        <button type="button" className="btn btn-ghost" onClick={handleSignOut}>Salir</button>
+      </header>
+
+      <nav className="admin-tabs">
+        {TABS.map(tab => (
+          <button
+            key={tab.status}
+            type="button"
+            className={`admin-tab ${tab.status === status ? 'active' : ''}`}
+            onClick={() => handleSelectTab(tab.status)}
+          >
+            {tab.label}{counts && ` (${counts[tab.status]})`}
+          </button>
+        ))}
+      </nav>
+
+      <div className="admin-bulk">
+        <label>
+          <input
+            type="checkbox"
+            checked={poems.length > 0 && selected.size === poems.length}
+            onChange={handleToggleAll}
+            disabled={poems.length === 0}
+          />
+          {selected.size > 0 ? `${selected.size} seleccionados` : 'Seleccionar todos'}
+        </label>
+        {ACTIONS.filter(action => action.status !== status).map(action => (
+          <button
+            key={action.status}
+            type="button"
+            className={`btn btn-ghost admin-action-${action.status}`}
+            disabled={isBusy || selected.size === 0}
+            onClick={() => handleSetStatus([...selected], action)}
+          >
+            {action.label}
+          </button>
+        ))}
+        {notice && <span className="admin-notice" role="status">{notice}</span>}
+      </div>
+
+      {!isLoading && poems.length === 0 ? (
+        <p className="admin-empty">No hay poemas aquí.</p>
+      ) : (
+        <ul className="admin-poems">
+          {poems.map(poem => (
+            <ReviewCard
+              key={poem.id}
+              poem={poem}
+              isSelected={selected.has(poem.id)}
+              isBusy={isBusy}
+              onToggle={handleToggle}
+              onSetStatus={handleSetStatus}
+            />
+          ))}
+        </ul>
+      )}
+
+      {isLoading && <p className="admin-empty">Cargando…</p>}
+      {!isLoading && nextCursor && (
+        <button type="button" className="btn btn-ghost admin-more" onClick={handleLoadMore}>Cargar más</button>
+      )}
+    </div>
+  );
+}
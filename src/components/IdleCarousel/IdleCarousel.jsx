@@ -1,20 +1,32 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { getRecentPoems } from '../../services/supabase';
+import { queryPoems, APP_SLUG } from '../../services/supabase';
+import { findSpokenWord } from '../../services/wordTimings';
+import { AMBIENT_LEVELS, playAmbient, duckAmbient } from '../../services/ambient';
 import './IdleCarousel.css';
 
+// Poems per refresh: a page of a random shuffle of the whole archive
+const IDLE_POEMS_PAGE_SIZE = 30;
+
 export default function IdleCarousel() {
   const [displayItems, setDisplayItems] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [fade, setFade] = useState(true);
   const audioRef = useRef(null);
   const [visibleWords, setVisibleWords] = useState(0); // Estado para la animación de texto
+  const [spokenWord, setSpokenWord] = useState(-1); // Word being narrated (poems with word timings)
+  const cursorRef = useRef(null); // Next page of the shuffle (null: start a new shuffle)
 
   // Fetch items on mount and create paired image-text sequence
   useEffect(() => {
     const fetchItems = async () => {
       try {
-        const poems = await getRecentPoems(30);
-        if (poems && poems.length > 0) {
+        // Each refresh shows the next poems of the same shuffle, so older poems come up too
+        let { poems, nextCursor } = await queryPoems({ limit: IDLE_POEMS_PAGE_SIZE, cursor: cursorRef.current, sort: 'random', appSlug: APP_SLUG });
+        if (poems.length === 0 && cursorRef.current) {
+          ({ poems, nextCursor } = await queryPoems({ limit: IDLE_POEMS_PAGE_SIZE, sort: 'random', appSlug: APP_SLUG }));
+        }
+        cursorRef.current = nextCursor;
+        if (poems.length > 0) {
           // Create a flattened array where each poem creates TWO items:
           // 1. Image item (if image_url exists)
           // 2. Text item (the poem text)
@@ -28,6 +40,7 @@ export default function IdleCarousel() {
             paired.push({ type: 'text', poem });
           });
           setDisplayItems(paired);
+          setCurrentIndex(prev => prev % paired.length);
         }
       } catch (err) {
         console.error('IdleCarousel: Failed to fetch items', err);
@@ -132,6 +145,29 @@ export default function IdleCarousel() {
     };
   }, [currentIndex, fade, totalWords]); // Re-run when fade in completes or item changes
 
+  // Soft ambient bed of the poem on screen, lowered while it is narrated
+  const ambientEmotion = currentItem?.poem.emotion || '';
+  useEffect(() => {
+    playAmbient(ambientEmotion, AMBIENT_LEVELS.IDLE);
+  }, [ambientEmotion]);
+
+  useEffect(() => () => duckAmbient(false), []);
+
+  // Highlight the word being narrated, from the audio clock
+  const wordTimings = currentItem?.type === 'text' ? currentItem.poem.audio_word_timings : null;
+  useEffect(() => {
+    if (!wordTimings) return;
+
+    let frame = null;
+    const tick = () => {
+      const audio = audioRef.current;
+      setSpokenWord(audio && !audio.paused ? findSpokenWord(wordTimings, audio.currentTime) : -1);
+      frame = requestAnimationFrame(tick);
+    };
+    tick();
+    return () => cancelAnimationFrame(frame);
+  }, [wordTimings]);
+
   if (displayItems.length === 0 || !currentItem) return null;
 
   const showImage = currentItem.type === 'image';
@@ -162,11 +198,12 @@ export default function IdleCarousel() {
                       .reduce((acc, line) => acc + line.length, 0);
                     const globalIndex = previousWordsCount + wordIdx;
                     const isVisible = globalIndex < visibleWords;
+                    const isSpoken = Boolean(wordTimings) && globalIndex === spokenWord;
                     
                     return (
                       <span 
                         key={wordIdx} 
-                        className={`idle-word ${isVisible ? 'visible' : ''}`}
+                        className={`idle-word ${isVisible ? 'visible' : ''} ${isSpoken ? 'speaking' : ''}`}
                       >
                         {word}{' '}
                       </span>
@@ -178,7 +215,13 @@ export default function IdleCarousel() {
           </div>
         )}
       </div>
-      <audio ref={audioRef} style={{ display: 'none' }} />
+      <audio
+        ref={audioRef}
+        style={{ display: 'none' }}
+        onPlay={() => duckAmbient(true)}
+        onPause={() => duckAmbient(false)}
+        onEnded={() => duckAmbient(false)}
+      />
     </div>
   );
 }
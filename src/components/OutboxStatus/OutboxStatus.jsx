@@ -0,0 +1,21 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeOutbox, getOutboxStatus } from '../../services/outbox';
+import './OutboxStatus.css';
+
+// Small badge while poems, drawings or audio wait in the outbox (hidden when everything is saved)
+export default function OutboxStatus() {
+  const { pending, failed, isOnline, isSending } = useSyncExternalStore(subscribeOutbox, getOutboxStatus);
+  if (pending === 0 && failed === 0) return null;
+
+  let text;
+  if (!isOnline) text = `Sin conexión · ${pending + failed} por guardar`;
+  else if (pending > 0) text = isSending ? `Guardando ${pending}…` : `${pending} por guardar, reintentando`;
+  else text = `${failed} sin guardar`;
+
+  return (
+    <div className={`outbox-status ${isOnline ? '' : 'offline'}`} role="status">
+      <span className="outbox-status-dot" aria-hidden="true" />
+      {text}
+    </div>
+  );
+}
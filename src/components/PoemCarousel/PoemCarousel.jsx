@@ -60,6 +60,9 @@ const CarouselItem = React.memo(({ poem, index, onSelect }) => {
         )}
         
         <div className="card-overlay" />
+        {poem.status === 'featured' && (
+          <span className="card-featured" title="Destacado">★</span>
+        )}
         <span className="card-emotion">
           {poem.emotion}
         </span>
@@ -84,7 +87,37 @@ const CarouselSkeletonItem = ({ index }) => {
   );
 };
 
-export default function PoemCarousel({ poems, onSelect, isLoading }) {
+// End of the track: loads the next page of poems
+const CarouselMoreItem = ({ onLoadMore }) => {
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const handleClick = async () => {
+    if (isLoadingMore) return;
+    setIsLoadingMore(true);
+    try {
+      await onLoadMore();
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="carousel-item-wrapper">
+      <button
+        type="button"
+        className={`carousel-card carousel-more ${isLoadingMore ? 'is-loading' : ''}`}
+        onClick={handleClick}
+        disabled={isLoadingMore}
+      >
+        <span className="card-emotion">
+          {isLoadingMore ? 'Cargando…' : 'Más poemas'}
+        </span>
+      </button>
+    </div>
+  );
+};
+
+export default function PoemCarousel({ poems, onSelect, isLoading, hasMore = false, onLoadMore }) {
   if (!isLoading && (!poems || poems.length === 0)) return null;
 
   return (
@@ -105,6 +138,9 @@ export default function PoemCarousel({ poems, onSelect, isLoading }) {
             />
           ))
         )}
+        {!isLoading && hasMore && onLoadMore && (
+          <CarouselMoreItem onLoadMore={onLoadMore} />
+        )}
       </div>
     </div>
   );
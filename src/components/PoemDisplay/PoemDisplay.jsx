@@ -1,10 +1,33 @@
 import { useState, useEffect, useRef } from 'react';
-import { createPoemAudio, cleanupAudioUrl, isElevenLabsConfigured } from '../../services/elevenlabs';
-import { uploadAudio, updatePoemAudio, isSupabaseConfigured } from '../../services/supabase';
+import { cleanupAudioUrl, getSpeechProviders, isSpeechAvailable } from '../../services/elevenlabs';
+import { isSupabaseConfigured } from '../../services/supabase';
+import { queuePoemAudio } from '../../services/outbox';
+import { getPoemNarration } from '../../services/narrationCache';
+import { findSpokenWord } from '../../services/wordTimings';
+import { isStreamingPlaybackSupported, createStreamingAudio } from '../../services/streamingAudio';
+import { duckAmbient } from '../../services/ambient';
 import './PoemDisplay.css';
 
-export default function PoemDisplay({ poem, emotion, onInteraction, poemId, existingAudioUrl, illustration, isProjection, onNewPoem }) {
+// Catch-up pace for words that arrived together in the same streamed chunk
+const STREAMED_WORD_DELAY_MS = 40;
+
+// Caption lead for each canvas input type
+function describeInput({ inputType, recognizedText }) {
+  if (inputType === 'word' && recognizedText) return `Leímos «${recognizedText}»`;
+  if (inputType === 'drawing') return 'Vimos un dibujo';
+  if (inputType === 'abstract') return 'Vimos trazos abstractos';
+  return null;
+}
+
+// variants: { index, count, isPublished, canPublish, canRegenerate, error } for a freshly written poem
+// (null for history poems and on the projection): browse its versions, write another one or keep this one.
+// The word being narrated is highlighted: from the audio on the tablet, which reports its playback
+// through onNarrationChange, and from narrationSync ({ poem, wordTimings, isPlaying, position, at }) on the projection.
+// isModerating: the automatic check is still running (nothing is narrated until it settles)
+export default function PoemDisplay({ poem, isStreaming = false, form = 'free', language = 'es', isPrivate = false, isInReview = false, isModerating = false, interpretation = null, emotion, onInteraction, poemId, existingAudioUrl, narrationProfile = null, existingWordTimings = null, narrationSync = null, onNarrationChange, illustration, isProjection, variants = null, onRegenerate, onSelectVariant, onPublishVariant, onNewPoem }) {
   const [visibleWords, setVisibleWords] = useState(0); 
+  const [revealKey, setRevealKey] = useState(0); // Bumped for every new poem (not for streamed words)
+  const previousWordsRef = useRef([]);
   const [isAllComplete, setIsAllComplete] = useState(false);
   const [startTextAnimation, setStartTextAnimation] = useState(false);
   
@@ -16,13 +39,27 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
   const [isAudioReady, setIsAudioReady] = useState(false);
   const audioRef = useRef(null);
   const hasAutoPlayedRef = useRef(false);
+  const [isLiveNarration, setIsLiveNarration] = useState(false); // Read by the browser voice instead of an audio file
+  const narrationRef = useRef(null); // Controls of the browser voice
+  const [wordTimings, setWordTimings] = useState(null); // [start, end] seconds of each word of the audio
+  const [storedNarration, setStoredNarration] = useState(null); // { audioUrl, narration, wordTimings } of the stored audio, to link to the poem
+  const poemIdRef = useRef(poemId); // Latest poem id, for the usage record (a later save must not restart the audio)
+  const [spokenWord, setSpokenWord] = useState(-1); // Index of the word being narrated
   
   const lines = poem ? poem.split('\n').filter(line => line.trim()) : [];
   const linesWithWords = lines.map(line => line.trim().split(/\s+/)); 
-  const totalWords = linesWithWords.flat().length;
+  const allWords = linesWithWords.flat();
+  const totalWords = allWords.length;
 
-  // Reset state - only when poem changes
+  // Reset state - only when a different poem arrives.
+  // While streaming, each update only appends whole words to the current poem.
   useEffect(() => {
+    const previousWords = previousWordsRef.current;
+    previousWordsRef.current = allWords;
+    const isContinuation = previousWords.length > 0 && previousWords.every((word, i) => word === allWords[i]);
+    if (isContinuation) return;
+
+    setRevealKey(key => key + 1);
     setVisibleWords(0);
     setIsAllComplete(false);
     setStartTextAnimation(false);
@@ -36,14 +73,17 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
     setIsLoadingAudio(false);
     setAudioError(null);
     setIsAudioReady(false);
+    setIsLiveNarration(false);
+    setWordTimings(null);
+    setStoredNarration(null);
     hasAutoPlayedRef.current = false;
     
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [poem]); 
 
-  // Logic to start text animation
+  // Logic to start text animation (once per poem, not per streamed word)
   useEffect(() => {
-    if (!poem) return;
+    if (!revealKey) return;
     
     // Start almost immediately now
     const timer = setTimeout(() => {
@@ -51,36 +91,38 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [poem]);
+  }, [revealKey]);
 
-  // Word revealing logic
+  // Word revealing logic: one word at a time, up to the words received so far
   useEffect(() => {
-    if (!startTextAnimation || totalWords === 0) return;
+    if (!startTextAnimation || visibleWords >= totalWords) return;
 
-    let currentWord = 0;
+    // Streamed words show up as they actually arrive; finished poems (history,
+    // end of stream) keep the natural reading pace of 80-200ms per word
+    const wordDelay = visibleWords === 0
+      ? 300
+      : isStreaming ? STREAMED_WORD_DELAY_MS : 80 + Math.random() * 120;
+    const timer = setTimeout(() => setVisibleWords(prev => prev + 1), wordDelay);
 
-    const showNextWord = () => {
-      setVisibleWords(prev => prev + 1);
-      currentWord++;
+    return () => clearTimeout(timer);
+  }, [startTextAnimation, visibleWords, totalWords, isStreaming]);
 
-      if (currentWord < totalWords) {
-        // More fluid natural reading pace (faster than before)
-        // 100ms base + random variation makes it feel like thought/writing
-        const wordDelay = 80 + Math.random() * 120;
-        setTimeout(showNextWord, wordDelay);
-      } else {
-        setTimeout(() => setIsAllComplete(true), 800);
-      }
-    };
+  // Complete once every word is visible and nothing else is coming
+  useEffect(() => {
+    if (isStreaming || totalWords === 0 || visibleWords < totalWords) return;
 
-    const initialTimeout = setTimeout(showNextWord, 300);
-    
-    return () => clearTimeout(initialTimeout);
-  }, [startTextAnimation, totalWords]);
+    const timer = setTimeout(() => setIsAllComplete(true), 800);
+    return () => clearTimeout(timer);
+  }, [isStreaming, visibleWords, totalWords]);
 
-  // Generate or load audio when animation completes
+  // Generate or load audio when animation completes.
+  // The projection never narrates: it follows the tablet through narrationSync
   useEffect(() => {
-    if (!isAllComplete || !poem || !isElevenLabsConfigured()) return;
+    if (isProjection || !isAllComplete || !poem || isModerating) return;
+    // Flagged or held for review: only the browser's voice, nothing is synthesized or stored
+    const isWithheld = isPrivate || isInReview;
+    const providers = getSpeechProviders().filter(provider => !isWithheld || provider.output === 'live');
+    if (!existingAudioUrl && providers.length === 0) return;
     
     const abortController = new AbortController();
     let tempUrlToCleanup = null;
@@ -93,6 +135,106 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
       );
     };
     
+    // Audio file from an "audio" provider, stored by content: the same poem, voice and
+    // settings are only synthesized once (retries, re-views, a save that finished later).
+    // Fresh audio starts playing from its first streamed chunk where MediaSource exists
+    const synthesizeAudio = async (provider) => {
+      console.log(`🎙️ Getting audio from ${provider.id}...`);
+      const canStream = !isIOSStandalone() && isStreamingPlaybackSupported();
+      let stream = null;
+      const onAudioChunk = (bytes) => {
+        if (abortController.signal.aborted) return;
+        if (!stream) {
+          console.log('🌊 Streaming narration...');
+          stream = createStreamingAudio();
+          tempUrlToCleanup = stream.url;
+          setAudioUrl(stream.url);
+          setIsAudioReady(false); // Will be set to true by onLoadedData once the first chunk is buffered
+        }
+        stream.append(bytes);
+      };
+
+      let result;
+      try {
+        result = await getPoemNarration(provider, poem, {
+          language,
+          emotion,
+          profile: narrationProfile,
+          poemId: poemIdRef.current,
+          onAudioChunk: canStream ? onAudioChunk : undefined
+        });
+      } catch (error) {
+        // Drop the half-played stream before the next provider takes over
+        if (stream) {
+          stream.abort();
+          setAudioUrl(null);
+          setIsAudioReady(false);
+        }
+        throw error;
+      }
+      
+      // Check if cancelled
+      if (abortController.signal.aborted) {
+        stream?.abort();
+        console.log('Audio generation cancelled');
+        return;
+      }
+      
+      // iOS standalone mode has issues with blob URLs, so it plays the stored file
+      if (isIOSStandalone()) {
+        console.log('📱 iOS Standalone detected - playing the stored audio');
+        if (!result.audioUrl) {
+          throw new Error('Supabase required for iOS standalone audio playback');
+        }
+        setAudioUrl(result.audioUrl);
+        // Mark as ready for iOS standalone immediately
+        setIsAudioReady(true);
+        
+        // Fallback timeout for iOS - ensure button becomes clickable
+        setTimeout(() => {
+          if (!isAudioReady) {
+            console.log('⏰ Forcing audio ready state for iOS');
+            setIsAudioReady(true);
+          }
+        }, 1500);
+      } else if (stream) {
+        // Already playing from the stream, which now has the whole file
+        stream.end();
+      } else if (result.audio) {
+        // Fresh audio: play the local blob, the stored copy is for future visits
+        const tempUrl = URL.createObjectURL(result.audio);
+        tempUrlToCleanup = tempUrl;
+        setAudioUrl(tempUrl);
+        setIsAudioReady(false); // Will be set to true by onCanPlayThrough event
+      } else {
+        setAudioUrl(result.audioUrl);
+        setIsAudioReady(false);
+      }
+      setWordTimings(result.wordTimings);
+      
+      if (result.audioUrl) {
+        setStoredNarration({ audioUrl: result.audioUrl, narration: result.narration, wordTimings: result.wordTimings });
+      }
+    };
+
+    // Browser voice: read aloud here, nothing to store
+    const startLiveNarration = (provider) => {
+      console.log(`🗣️ Reading the poem with ${provider.id}`);
+      narrationRef.current = provider.createNarration(poem, {
+        language,
+        onPlay: () => setIsPlaying(true),
+        onPause: () => setIsPlaying(false),
+        onEnd: () => setIsPlaying(false)
+      });
+      setIsLiveNarration(true);
+      setIsAudioReady(true);
+      // Auto-play like the audio files
+      if (!hasAutoPlayedRef.current) {
+        hasAutoPlayedRef.current = true;
+        narrationRef.current.play();
+      }
+    };
+
     const handleAudio = async () => {
       try {
         setIsLoadingAudio(true);
@@ -102,73 +244,28 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
         if (existingAudioUrl) {
           console.log('✅ Using existing audio from database');
           setAudioUrl(existingAudioUrl);
+          setWordTimings(existingWordTimings);
           setIsLoadingAudio(false);
           return;
         }
         
-        // Generate new audio
-        console.log('🎙️ Generating new audio with ElevenLabs...');
-        const audioBlob = await fetch(await createPoemAudio(poem, emotion)).then(r => r.blob());
-        
-        // Check if cancelled
-        if (abortController.signal.aborted) {
-          console.log('Audio generation cancelled');
-          return;
-        }
-        
-        // iOS standalone mode has issues with blob URLs, so we upload first
-        const iosStandalone = isIOSStandalone();
-        
-        if (iosStandalone) {
-          console.log('📱 iOS Standalone detected - uploading audio before playback');
-          
-          // Upload to Supabase first for iOS standalone
-          if (isSupabaseConfigured() && poemId && !abortController.signal.aborted) {
-            console.log('☁️ Uploading audio to Supabase...');
-            const permanentUrl = await uploadAudio(audioBlob, emotion);
-            
-            if (permanentUrl && !abortController.signal.aborted) {
-              await updatePoemAudio(poemId, permanentUrl);
-              console.log('✅ Audio saved and ready for playback');
-              setAudioUrl(permanentUrl);
-              // Mark as ready for iOS standalone immediately
-              setIsAudioReady(true);
-              
-              // Fallback timeout for iOS - ensure button becomes clickable
-              setTimeout(() => {
-                if (!isAudioReady) {
-                  console.log('⏰ Forcing audio ready state for iOS');
-                  setIsAudioReady(true);
-                }
-              }, 1500);
-            } else {
-              throw new Error('Failed to upload audio for iOS standalone mode');
-            }
-          } else {
-            throw new Error('Supabase required for iOS standalone audio playback');
+        // Generate new audio, falling back to the next provider when one fails
+        let lastError = null;
+        for (const provider of providers) {
+          if (provider.output === 'live') {
+            startLiveNarration(provider);
+            return;
           }
-        } else {
-          // Normal flow: use blob URL first, then upload in background
-          const tempUrl = URL.createObjectURL(audioBlob);
-          tempUrlToCleanup = tempUrl;
-          setAudioUrl(tempUrl);
-          setIsAudioReady(false); // Will be set to true by onCanPlayThrough event
-          
-          // Upload to Supabase in background if configured
-          if (isSupabaseConfigured() && poemId && !abortController.signal.aborted) {
-            console.log('☁️ Uploading audio to Supabase...');
-            const permanentUrl = await uploadAudio(audioBlob, emotion);
-            
-            if (permanentUrl && !abortController.signal.aborted) {
-              await updatePoemAudio(poemId, permanentUrl);
-              console.log('✅ Audio saved to database');
-              
-              // Do not switch to permanent URL immediately to avoid interrupting playback
-              // The local blob URL (tempUrl) is already playing and works fine for this session.
-              // We just wanted to ensure it's saved to DB for future visits.
-            }
+          try {
+            await synthesizeAudio(provider);
+            return;
+          } catch (error) {
+            if (abortController.signal.aborted) return;
+            console.warn(`⚠️ Speech provider "${provider.id}" failed:`, error);
+            lastError = error;
           }
         }
+        throw lastError;
       } catch (error) {
         if (!abortController.signal.aborted) {
           console.error('Failed to handle audio:', error);
@@ -188,13 +285,65 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
       if (tempUrlToCleanup) {
         URL.revokeObjectURL(tempUrlToCleanup);
       }
+      narrationRef.current?.stop();
+      narrationRef.current = null;
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAllComplete, poem, emotion, poemId, existingAudioUrl]);
+  }, [isProjection, isAllComplete, poem, emotion, language, existingAudioUrl, narrationProfile, existingWordTimings, isModerating, isPrivate, isInReview]);
+
+  useEffect(() => {
+    poemIdRef.current = poemId;
+  }, [poemId]);
+
+  // Link the stored audio to the poem once both exist (the poem may be saved after the audio;
+  // the outbox sends the link after the poem when it is still queued)
+  useEffect(() => {
+    if (!poemId || !storedNarration || !isSupabaseConfigured()) return;
+    queuePoemAudio(poemId, storedNarration.audioUrl, { narration: storedNarration.narration, wordTimings: storedNarration.wordTimings });
+  }, [poemId, storedNarration]);
+
+  // Tell the projection where the narration is (it has no audio of its own)
+  useEffect(() => {
+    if (isProjection || !onNarrationChange || isLiveNarration) return;
+    onNarrationChange({ poem, wordTimings, isPlaying, position: audioRef.current?.currentTime || 0 });
+  }, [isProjection, onNarrationChange, isLiveNarration, poem, wordTimings, isPlaying]);
+
+  // Highlight the word being narrated: the audio clock on the tablet, the synced one on the projection
+  const syncedNarration = isProjection && narrationSync?.poem === poem ? narrationSync : null;
+  const timings = isProjection ? syncedNarration?.wordTimings : wordTimings;
+  const isNarrating = isProjection ? Boolean(syncedNarration?.isPlaying) : isPlaying && !isLiveNarration;
+  useEffect(() => {
+    if (!timings || !isNarrating) return;
+
+    let frame = null;
+    const tick = () => {
+      const time = syncedNarration
+        ? syncedNarration.position + (Date.now() - syncedNarration.at) / 1000
+        : audioRef.current?.currentTime || 0;
+      setSpokenWord(findSpokenWord(timings, time));
+      frame = requestAnimationFrame(tick);
+    };
+    tick();
+    return () => cancelAnimationFrame(frame);
+  }, [timings, isNarrating, syncedNarration]);
+
+  // Lower the ambient sound while the poem is heard
+  const isHeard = isProjection ? isNarrating : isPlaying;
+  useEffect(() => {
+    duckAmbient(isHeard);
+    return () => duckAmbient(false);
+  }, [isHeard]);
 
   // Audio control handlers
   const handlePlayPause = () => {
     if (onInteraction) onInteraction();
+
+    if (isLiveNarration) {
+      if (isPlaying) narrationRef.current?.pause();
+      else narrationRef.current?.play();
+      return;
+    }
+
     if (!audioRef.current) return;
     
     // Detect iOS standalone
@@ -258,21 +407,27 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
   return (
     <div className={`poem-display ${isProjection ? 'projection-poem' : ''}`}>
       <div 
-        key={poem} /* Force re-render animation on poem change */
+        key={revealKey} /* Force re-render animation on poem change (not on streamed words) */
         className="poem-container"
       >
-        <div className="poem-content">
+        <div className={`poem-content poem-form-${form}`} lang={language}>
           {linesWithWords.map((words, lineIndex) => (
             <p key={lineIndex} className="poem-text-line">
               {words.map((word, wordIndex) => {
                 const isVisible = wordCounter < visibleWords;
+                const isSpoken = isNarrating && Boolean(timings) && wordCounter === spokenWord;
                 wordCounter++;
                 return (
                   <span 
                     key={wordIndex} 
-                    className={`poem-word ${isVisible ? 'visible' : ''}`}
+                    className={`poem-word ${isVisible ? 'visible' : ''} ${isSpoken ? 'speaking' : ''}`}
                   >
-                    {word}
+                    {form === 'acrostic' && wordIndex === 0 ? (
+                      <>
+                        <span className="poem-initial">{word.charAt(0)}</span>
+                        {word.slice(1)}
+                      </>
+                    ) : word}
                   </span>
                 );
               })}
@@ -280,6 +435,16 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
           ))}
         </div>
         
+        {/* Optional caption: how the canvas was read */}
+        {interpretation && (describeInput(interpretation) || interpretation.analysis) && (
+          <p className={`poem-caption ${isAllComplete ? 'visible' : ''}`}>
+            {describeInput(interpretation) && (
+              <span className="poem-caption-input">{describeInput(interpretation)}</span>
+            )}
+            {interpretation.analysis}
+          </p>
+        )}
+        
         {/* Background Illustration */}
         {illustration && (
           <img 
@@ -310,9 +475,66 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
         />
       )}
       
+      {/* Flagged by moderation: kept on this tablet only */}
+      {isPrivate && !isProjection && (
+        <p className={`poem-private-note ${isAllComplete ? 'visible' : ''}`}>
+          Este poema se queda aquí: no se mostrará en la proyección ni en la galería.
+        </p>
+      )}
+
+      {/* Pre-moderation: public once an admin approves it */}
+      {isInReview && !isProjection && (
+        <p className={`poem-private-note ${isAllComplete ? 'visible' : ''}`}>
+          Este poema aparecerá en la proyección y en la galería cuando lo revise el equipo.
+        </p>
+      )}
+
+      {/* Versions of the same canvas (tablet only): only the one kept is published */}
+      {variants && !isProjection && (
+        <div className={`poem-variants ${isAllComplete ? 'visible' : ''}`}>
+          {variants.count > 1 && (
+            <div className="poem-variants-nav">
+              <button
+                className="btn btn-ghost"
+                onClick={() => onSelectVariant(variants.index - 1)}
+                disabled={variants.index === 0}
+                aria-label="Versión anterior"
+              >
+                ‹
+              </button>
+              <span className="poem-variants-count">Versión {variants.index + 1} de {variants.count}</span>
+              <button
+                className="btn btn-ghost"
+                onClick={() => onSelectVariant(variants.index + 1)}
+                disabled={variants.index === variants.count - 1}
+                aria-label="Versión siguiente"
+              >
+                ›
+              </button>
+            </div>
+          )}
+          {variants.count > 1 && (variants.isPublished ? (
+            <span className="poem-variants-published">Esta es la versión que se muestra</span>
+          ) : variants.canPublish && (
+            <button className="btn btn-secondary" onClick={onPublishVariant}>
+              Quedarme con esta
+            </button>
+          ))}
+          {variants.canRegenerate && (
+            <button className="btn btn-ghost" onClick={onRegenerate}>
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M21 12a9 9 0 1 1-3-6.7L21 8M21 3v5h-5" />
+              </svg>
+              Otra versión
+            </button>
+          )}
+          {variants.error && <span className="audio-error">{variants.error}</span>}
+        </div>
+      )}
+
       <div className={`poem-actions-external ${isAllComplete ? 'visible' : ''}`}>
         {/* Audio controls */}
-        {isElevenLabsConfigured() && (
+        {isSpeechAvailable() && (
           <div className="audio-controls">
             {isLoadingAudio || (audioUrl && !isAudioReady) ? (
               <button className="btn btn-secondary" disabled>
@@ -321,7 +543,7 @@ export default function PoemDisplay({ poem, emotion, onInteraction, poemId, exis
               </button>
             ) : audioError ? (
               <span className="audio-error">{audioError}</span>
-            ) : audioUrl && isAudioReady ? (
+            ) : (audioUrl || isLiveNarration) && isAudioReady ? (
               <button className="btn btn-secondary" onClick={handlePlayPause}>
                 {isPlaying ? (
                   <>
@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef } from 'react';
+import { searchPoems, APP_SLUG } from '../../services/supabase';
+import './PoemSearch.css';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 350;
+const MIN_QUERY_LENGTH = 3;
+
+// Search field of the gallery: finds poems by their words, emotion or what the canvas showed
+export default function PoemSearch({ onSelect, onInteraction }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null); // null: nothing searched yet
+  const [isSearching, setIsSearching] = useState(false);
+  const searchIdRef = useRef(0); // Only the latest search may show its results
+
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) return;
+
+    const searchId = ++searchIdRef.current;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      const poems = await searchPoems(text, { appSlug: APP_SLUG });
+      if (searchId !== searchIdRef.current) return;
+      setResults(poems);
+      setIsSearching(false);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const handleChange = (e) => {
+    onInteraction?.();
+    setQuery(e.target.value);
+    if (e.target.value.trim().length < MIN_QUERY_LENGTH) {
+      searchIdRef.current++;
+      setResults(null);
+      setIsSearching(false);
+    }
+  };
+
+  const handleSelect = (poem) => {
+    searchIdRef.current++;
+    setQuery('');
+    setResults(null);
+    setIsSearching(false);
+    onSelect(poem);
+  };
+
+  return (
+    <div className="poem-search">
+      {results && (
+        <ul className="poem-search-results">
+          {results.length === 0 ? (
+            <li className="poem-search-empty">Ningún poema habla de «{query.trim()}»</li>
+          ) : (
+            results.map(poem => (
+              <li key={poem.id}>
+                <button type="button" className="poem-search-result" onClick={() => handleSelect(poem)}>
+                  <span className="poem-search-emotion">{poem.emotion}</span>
+                  <span className="poem-search-snippet">
+                    {poem.search_snippet.map((part, index) => part.isMatch
+                      ? <mark key={index}>{part.text}</mark>
+                      : <span key={index}>{part.text}</span>
+                    )}
+                  </span>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+      <input
+        type="search"
+        className={`poem-search-input ${isSearching ? 'is-searching' : ''}`}
+        placeholder="Buscar un poema…"
+        aria-label="Buscar en la galería"
+        value={query}
+        onChange={handleChange}
+        enterKeyHint="search"
+      />
+    </div>
+  );
+}
@@ -1,13 +1,18 @@
 import React from 'react';
 import './ProgressBar.css';
 
-export default function ProgressBar({ text = "Generando poema..." }) {
+export default function ProgressBar({ text = "Generando poema...", onCancel }) {
   return (
     <div className="progress-wrapper">
       <div className="progress-container">
         <div className="progress-fill"></div>
       </div>
       <div className="progress-text">{text}</div>
+      {onCancel && (
+        <button className="btn btn-ghost progress-cancel" onClick={onCancel}>
+          Cancelar
+        </button>
+      )}
     </div>
   );
 }
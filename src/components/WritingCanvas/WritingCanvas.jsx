@@ -15,7 +15,7 @@ const debounce = (func, wait) => {
   };
 };
 
-export default function WritingCanvas({ onSubmit, isProcessing, fullScreen = false, onStrokeUpdate, onInteractionStart, onInteraction, isProjection = false }) {
+export default function WritingCanvas({ onSubmit, isProcessing, fullScreen = false, onStrokeUpdate, onInteractionStart, onInteraction, isProjection = false, initialImage = null }) {
   const canvasRef = useRef(null);
   const contextRef = useRef(null);
   const [isDrawing, setIsDrawing] = useState(false);
@@ -142,6 +142,25 @@ export default function WritingCanvas({ onSubmit, isProcessing, fullScreen = fal
     };
   }, [fullScreen, isProjection]);
 
+  // Restore a previous drawing (e.g. after cancelling its poem)
+  useEffect(() => {
+    if (!initialImage) return;
+
+    const image = new Image();
+    image.onload = () => {
+      const canvas = canvasRef.current;
+      const ctx = contextRef.current;
+      if (!canvas || !ctx) return;
+      const rect = canvas.getBoundingClientRect();
+      ctx.save();
+      ctx.shadowBlur = 0; // The strokes already carry their glow
+      ctx.drawImage(image, 0, 0, rect.width, rect.height);
+      ctx.restore();
+      setHasContent(true);
+    };
+    image.src = initialImage;
+  }, [initialImage]);
+
   const getPointerPosition = useCallback((e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
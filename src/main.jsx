@@ -1,11 +1,21 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import './App.css'
 import App from './App.jsx'
 
+// ?view=admin: review queue for moderators instead of the installation
+const AdminReview = lazy(() => import('./components/AdminReview/AdminReview.jsx'))
+const isAdminView = new URLSearchParams(window.location.search).get('view') === 'admin'
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdminView ? (
+      <Suspense fallback={null}>
+        <AdminReview />
+      </Suspense>
+    ) : (
+      <App />
+    )}
   </StrictMode>,
 )
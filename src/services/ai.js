@@ -1,111 +1,237 @@
-import OpenAI from 'openai';
+import { getActivePoemProvider } from './poemProviders';
+import { PoemGenerationError, PoemConfigError, PoemUpstreamError, PoemTimeoutError, PoemCancelledError, POEM_ERROR_CODES } from './poemProviders/errors';
+import { POEM_TIMEOUT_MS, MAX_REPAIR_ATTEMPTS } from './poemProviders/chatCompletions';
+import { DEFAULT_POEM_FORM } from './poemProviders/forms';
+import { normalizeLanguage } from './poemProviders/languages';
+import { composeOfflinePoem, variantSeed } from './poemProviders/offline';
+import { getActivePromptTemplate } from './promptTemplates';
+import { getBudgetFallback, estimatePoemCost, OFFLINE_BUDGET_FALLBACK } from './usage';
 
-// API Key from environment variables
-const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
+// "auto" (reply in the language of the handwriting) or a fixed ISO 639-1 code
+const POEM_LANGUAGE = normalizeLanguage(import.meta.env.VITE_POEM_LANGUAGE);
 
-// Lazy-initialized OpenAI client
-let openaiInstance = null;
+// Chain entry for the offline composer
+const OFFLINE_STEP = 'offline';
 
-function getOpenAI() {
-  if (!openaiInstance && isOpenAIConfigured()) {
-    openaiInstance = new OpenAI({
-      apiKey: apiKey,
-      dangerouslyAllowBrowser: true // Required for client-side usage
-    });
+// Ordered models to try with the openai and edge providers, each "model:timeoutMs"
+// (e.g. gpt-4o:30000,gpt-4o-mini:20000,offline). Unset: the provider's own model.
+// Steps without a timeout get STEP_TIMEOUT_MS: a stalled model never blocks the chain
+const MODEL_CHAIN = parseModelChain(import.meta.env.VITE_POEM_MODEL_CHAIN);
+
+// Long enough for the whole repair loop of one model
+const STEP_TIMEOUT_MS = POEM_TIMEOUT_MS * (MAX_REPAIR_ATTEMPTS + 1);
+
+// Compose a poem locally instead of failing (disable with VITE_OFFLINE_FALLBACK=false):
+// appended to the chain when it does not list "offline" itself.
+const OFFLINE_FALLBACK = import.meta.env.VITE_OFFLINE_FALLBACK !== 'false';
+
+// Failures that move on to the next step of the chain.
+// Refusals still fail: the model declined what was on the canvas.
+const FALLBACK_CODES = [
+  POEM_ERROR_CODES.CONFIG,
+  POEM_ERROR_CODES.TIMEOUT,
+  POEM_ERROR_CODES.MALFORMED,
+  POEM_ERROR_CODES.UPSTREAM
+];
+
+function parseModelChain(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    if (entry === OFFLINE_STEP) return { model: OFFLINE_STEP, timeout: null };
+    // Model ids may contain colons (fine-tunes): only a trailing number is a timeout
+    const match = entry.match(/^(.+):(\d+)$/);
+    return match
+      ? { model: match[1], timeout: Number(match[2]) }
+      : { model: entry, timeout: STEP_TIMEOUT_MS };
+  });
+}
+
+// Steps for this poem: the configured chain, narrowed by the daily budget
+function buildModelChain(budgetFallback) {
+  if (budgetFallback === OFFLINE_BUDGET_FALLBACK) {
+    return [{ model: OFFLINE_STEP, timeout: null }];
+  }
+
+  // No chain: a single step with the provider's model and timeouts
+  let steps = MODEL_CHAIN.length > 0 ? MODEL_CHAIN : [{ model: null, timeout: STEP_TIMEOUT_MS }];
+
+  if (budgetFallback) {
+    // Over budget the cheaper model replaces every paid step
+    const firstModel = steps.find(step => step.model !== OFFLINE_STEP);
+    steps = [
+      { model: budgetFallback, timeout: firstModel?.timeout ?? STEP_TIMEOUT_MS },
+      ...steps.filter(step => step.model === OFFLINE_STEP)
+    ];
+  }
+
+  if (OFFLINE_FALLBACK && !steps.some(step => step.model === OFFLINE_STEP)) {
+    steps = [...steps, { model: OFFLINE_STEP, timeout: null }];
+  }
+  return steps;
+}
+
+// Tokens of the whole chain: every step that spent some, failed ones included.
+// Steps may use different models, so each one is priced on its own; `model` is the last one billed
+function addStepUsage(total, usage) {
+  if (!usage) return total;
+  const cost = estimatePoemCost(usage.model, usage);
+  const totalCost = total?.estimatedCost ?? null;
+  return {
+    ...usage,
+    promptTokens: (total?.promptTokens || 0) + usage.promptTokens,
+    completionTokens: (total?.completionTokens || 0) + usage.completionTokens,
+    totalTokens: (total?.totalTokens || 0) + usage.totalTokens,
+    requests: (total?.requests || 0) + usage.requests,
+    estimatedCost: cost === null ? totalCost : (totalCost || 0) + cost
+  };
+}
+
+// Run one model of the chain, abandoning it when its timeout expires or the visitor cancels
+async function runModelStep(provider, step, input, { signal, onProgress }) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort(new PoemCancelledError());
+  signal?.addEventListener('abort', cancel, { once: true });
+  const timer = step.timeout && setTimeout(() => {
+    controller.abort(new PoemTimeoutError({ details: { model: step.model, timeout: step.timeout } }));
+  }, step.timeout);
+
+  // Providers get the signal to stop their requests, but the chain never waits for them
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    return await Promise.race([
+      provider.generatePoem({
+        ...input,
+        model: step.model || undefined,
+        signal: controller.signal,
+        // Late deltas from an abandoned step must not reach the screen
+        onProgress: onProgress && ((progress) => {
+          if (!controller.signal.aborted) onProgress(progress);
+        })
+      }),
+      aborted
+    ]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
   }
-  return openaiInstance;
+}
+
+export { isOpenAIConfigured } from './poemProviders/openai';
+export { PoemGenerationError, POEM_ERROR_CODES } from './poemProviders/errors';
+export { POEM_FORMS, DEFAULT_POEM_FORM } from './poemProviders/forms';
+
+/**
+ * Check if the active poem provider (VITE_POEM_PROVIDER) is properly configured
+ */
+export function isPoemProviderConfigured() {
+  return getActivePoemProvider().isConfigured();
 }
 
 /**
- * Check if the OpenAI API is properly configured
+ * Configuration hint for the active provider, or null when it is ready
+ * @returns {string|null}
  */
-export function isOpenAIConfigured() {
-  return apiKey && 
-         apiKey.length > 0 && 
-         apiKey.startsWith('sk-') &&
-         apiKey !== 'your_openai_api_key_here';
+export function getPoemProviderConfigHint() {
+  const provider = getActivePoemProvider();
+  return provider.isConfigured() ? null : provider.configHint;
 }
 
 // Alias for backwards compatibility
-export const isGeminiConfigured = isOpenAIConfigured;
+export const isGeminiConfigured = isPoemProviderConfigured;
 
 /**
- * Generate a poem based on multimodal input (canvas drawing + face image)
+ * Generate a poem based on multimodal input (canvas drawing + face image).
+ * Tries each model of VITE_POEM_MODEL_CHAIN in order, with its own timeout, and the offline composer last.
  * @param {string} canvasBase64 - Base64 image of the canvas
  * @param {string} faceBase64 - Base64 image of the user's face (optional)
- * @returns {Promise<{emotion: string, poem: string}>} - The detected emotion and generated poem
+ * @param {Object} [options]
+ * @param {string} [options.form] - Poetic form id (haiku, tanka, decima, prose, acrostic; free verse by default)
+ * @param {string} [options.language] - ISO 639-1 code or "auto" (defaults to VITE_POEM_LANGUAGE)
+ * @param {number} [options.variant] - Another version of the same input ("Otra versión"): 0 for the first poem, then 1, 2...
+ *   Models sample a new poem anyway; the offline and mock providers use it to pick a different one
+ * @param {AbortSignal} [options.signal] - Aborting it cancels the generation (rejects with code "cancelled")
+ * @param {(progress: {emotion: string|null, poem: string}) => void} [options.onProgress] - Stream the answer: the emotion first, then the poem as whole words arrive
+ *   (starts over when a model fails and the next one takes its place)
+ * @returns {Promise<{emotion: string, poem: string, analysis: string, language: string, inputType: string|null, recognizedText: string|null, form: string, model: string, promptVersion: number|null, usage: Object|null}>}
+ *   The detected emotion, generated poem, how the canvas was read (word, drawing or abstract, and the text found), its language and form, and the model and prompt version that wrote it
+ *   (`model` is the model that actually answered, "offline-composer" when the offline composer wrote a Spanish free-verse or prose poem instead; `promptVersion` is null when no prompt was used)
+ *   and the tokens spent on it (`usage`, summed over every step that called a paid model, failed ones included; null when none did).
+ *   Over the daily budget, a cheaper model or the offline composer writes it
+ * @throws {PoemGenerationError} - Typed by `code`: config, timeout, refusal, malformed, upstream or cancelled;
+ *   its `usage` has the tokens the failed steps spent
  */
-export async function generatePoemMultimodal(canvasBase64, faceBase64) {
-  const openai = getOpenAI();
-  
-  if (!openai) {
-    throw new Error('Error de configuración: La API key de OpenAI no está configurada.');
-  }
-  
-  try {
-    console.log('✨ Generating poem from multimodal input...');
-    
-    const messages = [
-        {
-            role: "system",
-            content: `Eres un poeta experto en naturaleza y psicología humana. 
-            Tu objetivo es interpretar la emoción del usuario basándote en dos fuentes:
-            1. CONTENIDO DEL LIENZO: Puede ser una PALABRA escrita o un DIBUJO (garabato, objeto, paisaje).
-            2. EXPRESIÓN FACIAL: La emoción en su rostro (si hay foto).
-
-            INSTRUCCIONES CLAVE DE ANÁLISIS:
-            - Si hay TEXTO LEGIBLE: La emoción del poema debe basarse PRIMORDIALMENTE en el significado de esa palabra.
-            - Si hay un DIBUJO FIGURATIVO (ej: casa, sol, árbol): Interpreta el simbolismo de ese objeto junto con el estilo del trazo.
-            - Si son TRAZOS ABSTRACTOS: Analiza la energía cinética (caos=ansiedad, curvas=calma).
-
-            Debes generar una respuesta en formato JSON con TRES campos:
-            - "analysis": Describe explícitamente qué ves en el dibujo Y en la cara. Ej: "Palabra 'IRA' y rostro tenso", "Dibujo de casa y mirada serena". (Conciso).
-            - "emotion": La emoción destilada. Si escribió una emoción, usa esa misma o un sinónimo poético.
-            - "poem": Un poema breve (4-5 versos cortos) inspirado en esa emoción y en el simbolismo detectado. 
-            
-            Reglas para el poema:
-            - VERSOS BREVES Y CONCISOS: Mantén cada línea corta (máximo 5-6 palabras), priorizando la economía de lenguaje.
-            - Relaciona la emoción con un detalle de la naturaleza (igual que antes: botánica, luz, agua).
-            - Exalta lo bello y sensorial.
-            - Evita mencionar explícitamente "tu cara", "tu letra" o "tu dibujo".
-            - Sin rimas fáciles ni clichés.
-            `
-        },
-        {
-            role: "user",
-            content: [
-                { type: "text", text: "Analiza mi estado y crea un poema." },
-                { type: "image_url", image_url: { url: canvasBase64, detail: "low" } }
-            ]
-        }
-    ];
+export async function generatePoemMultimodal(canvasBase64, faceBase64, { form = DEFAULT_POEM_FORM, language = POEM_LANGUAGE, variant = 0, signal, onProgress } = {}) {
+  const provider = getActivePoemProvider();
+  // Keep the streamed emotion: the offline composer can still write about it
+  let streamedEmotion = null;
+  const trackProgress = onProgress && ((progress) => {
+    if (progress.emotion) streamedEmotion = progress.emotion;
+    onProgress(progress);
+  });
 
-    if (faceBase64) {
-        messages[1].content.push({ 
-            type: "image_url", 
-            image_url: { url: faceBase64, detail: "low" } 
-        });
+  const chain = buildModelChain(await getBudgetFallback());
+  let promptTemplate = null;
+  let lastError = null;
+  let spent = null;
+  // Whatever ends the chain carries the tokens spent so far
+  const withUsage = (error) => Object.assign(error, { usage: spent });
+
+  for (const step of chain) {
+    if (signal?.aborted) {
+      throw withUsage(new PoemCancelledError());
     }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o", // Using the more powerful model as requested
-      messages: messages,
-      response_format: { type: "json_object" },
-      max_tokens: 400, // Increased for analysis
-      temperature: 1.0, // Higher creativity
-    });
-
-    const result = JSON.parse(response.choices[0].message.content);
-    console.log('📝 Generated multimodal result with analysis:', result);
-    
-    return {
-        emotion: result.emotion || "Eter",
-        poem: result.poem || "El silencio se hace presente...",
-        analysis: result.analysis || "Interpretación silente."
-    };
-
-  } catch (error) {
-    console.error('❌ OpenAI Multimodal Error:', error);
-    throw new Error('No pude conectarme con la musa. Inténtalo de nuevo.');
+    if (step.model === OFFLINE_STEP) {
+      if (lastError) console.warn(`📴 Falling back to the offline composer (${lastError.code})`);
+      return { ...composeOfflinePoem({ emotion: streamedEmotion, seed: variantSeed(canvasBase64, variant), form, language }), promptVersion: null, usage: spent };
+    }
+
+    const label = step.model ? `${provider.id}, ${step.model}` : provider.id;
+    try {
+      if (!provider.isConfigured()) {
+        throw new PoemConfigError(provider.configHint);
+      }
+
+      console.log(`✨ Generating ${form} poem from multimodal input (${label})...`);
+
+      if (!promptTemplate) promptTemplate = await getActivePromptTemplate();
+      const result = await runModelStep(
+        provider,
+        step,
+        { canvasBase64, faceBase64, form, language, promptTemplate, variant },
+        { signal, onProgress: trackProgress }
+      );
+      console.log('📝 Generated multimodal result with analysis:', result);
+      spent = addStepUsage(spent, result.usage);
+
+      return {
+        ...result,
+        form: result.form || form,
+        model: result.model || step.model || provider.model,
+        promptVersion: result.promptVersion ?? null,
+        usage: spent
+      };
+
+    } catch (error) {
+      const poemError = error instanceof PoemGenerationError
+        ? error
+        : new PoemUpstreamError({ cause: error });
+      spent = addStepUsage(spent, poemError.usage);
+
+      if (poemError.code === POEM_ERROR_CODES.CANCELLED) {
+        console.log('🛑 Poem generation cancelled');
+        throw withUsage(poemError);
+      }
+
+      console.error(`❌ Poem provider "${label}" failed [${poemError.code}]:`, poemError, poemError.details);
+      if (!FALLBACK_CODES.includes(poemError.code)) {
+        throw withUsage(poemError);
+      }
+      lastError = poemError;
+    }
   }
+
+  throw withUsage(lastError);
 }
@@ -0,0 +1,334 @@
+// Ambient sound of the installation (Web Audio): a soft bed picked by the emotion family of
+// the poem on screen, crossfaded when the emotion changes and ducked under the narration.
+// Beds are generative (water, wind, chimes, drone) or an audio file played in a loop.
+// Volume, levels, crossfade and the bed of each family live in ambientSoundscape.json.
+import soundscape from './ambientSoundscape.json';
+import { getEmotionFamily } from './elevenlabs';
+
+// Screen that plays it: projection (default), controller or off. The other screens only
+// report narration and mute, which are no-ops there
+const AMBIENT_SCREENS = ['projection', 'controller', 'off'];
+export const AMBIENT_SCREEN = AMBIENT_SCREENS.includes(import.meta.env.VITE_AMBIENT_SCREEN)
+  ? import.meta.env.VITE_AMBIENT_SCREEN
+  : 'projection';
+export const AMBIENT_START_MUTED = import.meta.env.VITE_AMBIENT_MUTED === 'true';
+
+const VOLUME = Number(import.meta.env.VITE_AMBIENT_VOLUME) || soundscape.volume;
+const CROSSFADE_SECONDS = Number(import.meta.env.VITE_AMBIENT_CROSSFADE_SECONDS) || soundscape.crossfadeSeconds;
+
+// Loudness of the bed: under a poem, or softer behind the idle carousel
+export const AMBIENT_LEVELS = {
+  POEM: 'poem',
+  IDLE: 'idle'
+};
+
+// Length of the looped noise buffers
+const NOISE_SECONDS = 4;
+// Notes of the chimes: C major pentatonic, fifth and sixth octaves
+const CHIME_NOTES = [523.25, 587.33, 659.25, 783.99, 880, 1046.5, 1174.66];
+
+let context = null;
+let master = null; // volume × level × duck × mute
+let bed = null; // { id, output, stop } playing now
+let wanted = { id: soundscape.default, level: AMBIENT_LEVELS.POEM };
+let isDucked = false;
+let isMuted = AMBIENT_START_MUTED;
+const fileBuffers = new Map(); // Decoded looped files, by URL
+
+/**
+ * Whether this browser has Web Audio
+ */
+export function isAmbientSupported() {
+  return typeof window !== 'undefined' && ('AudioContext' in window || 'webkitAudioContext' in window);
+}
+
+function createNoiseSource(ctx, { brown = false } = {}) {
+  const length = ctx.sampleRate * NOISE_SECONDS;
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    // Brown noise: integrated white noise, deeper (water) than plain hiss (wind)
+    last = brown ? (last + 0.02 * white) / 1.02 : white;
+    data[i] = brown ? last * 3.5 : white;
+  }
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  return source;
+}
+
+// Slow oscillation of an audio parameter around its value
+function createLfo(ctx, param, rate, depth) {
+  const lfo = ctx.createOscillator();
+  const amount = ctx.createGain();
+  lfo.frequency.value = rate;
+  amount.gain.value = depth;
+  lfo.connect(amount).connect(param);
+  return lfo;
+}
+
+function startSources(sources) {
+  sources.forEach(source => source.start());
+  return () => sources.forEach(source => source.stop());
+}
+
+// Each bed connects to `output` and returns the function that stops it
+
+function playWater(ctx, output) {
+  const noise = createNoiseSource(ctx, { brown: true });
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = 450;
+  const swell = ctx.createGain();
+  swell.gain.value = 0.7;
+  noise.connect(filter).connect(swell).connect(output);
+
+  // Low drone under the water
+  const drone = ctx.createGain();
+  drone.gain.value = 0.04;
+  drone.connect(output);
+  const tones = [110, 164.81].map(frequency => {
+    const tone = ctx.createOscillator();
+    tone.frequency.value = frequency;
+    tone.connect(drone);
+    return tone;
+  });
+
+  return startSources([
+    noise,
+    ...tones,
+    createLfo(ctx, filter.frequency, 0.07, 250),
+    createLfo(ctx, swell.gain, 0.11, 0.25)
+  ]);
+}
+
+function playWind(ctx, output) {
+  const noise = createNoiseSource(ctx);
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = 600;
+  filter.Q.value = 2;
+  const gust = ctx.createGain();
+  gust.gain.value = 0.3;
+  noise.connect(filter).connect(gust).connect(output);
+
+  // Gusts: drift pitch and strength every few seconds
+  const timer = setInterval(() => {
+    filter.frequency.setTargetAtTime(300 + Math.random() * 900, ctx.currentTime, 1.5);
+    gust.gain.setTargetAtTime(0.15 + Math.random() * 0.35, ctx.currentTime, 1.5);
+  }, 3000);
+
+  const stop = startSources([noise]);
+  return () => {
+    clearInterval(timer);
+    stop();
+  };
+}
+
+function playChimes(ctx, output) {
+  // Short feedback echo, for the space around each strike
+  const echo = ctx.createDelay();
+  echo.delayTime.value = 0.35;
+  const feedback = ctx.createGain();
+  feedback.gain.value = 0.35;
+  echo.connect(feedback).connect(echo);
+  echo.connect(output);
+
+  let timer = null;
+  const strike = () => {
+    const frequency = CHIME_NOTES[Math.floor(Math.random() * CHIME_NOTES.length)];
+    const now = ctx.currentTime;
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0, now);
+    envelope.gain.linearRampToValueAtTime(0.12, now + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, now + 4);
+    envelope.connect(output);
+    envelope.connect(echo);
+    // Fundamental and the inharmonic partial that makes it sound like metal
+    [1, 2.76].forEach((ratio, i) => {
+      const partial = ctx.createOscillator();
+      const partialGain = ctx.createGain();
+      partial.frequency.value = frequency * ratio;
+      partialGain.gain.value = i === 0 ? 1 : 0.25;
+      partial.connect(partialGain).connect(envelope);
+      partial.start(now);
+      partial.stop(now + 4);
+    });
+    timer = setTimeout(strike, 1200 + Math.random() * 3000);
+  };
+  strike();
+
+  return () => {
+    clearTimeout(timer);
+    echo.disconnect();
+  };
+}
+
+function playDrone(ctx, output) {
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = 600;
+  const level = ctx.createGain();
+  level.gain.value = 0.12;
+  filter.connect(level).connect(output);
+
+  // Root, fifth and a slightly detuned octave, beating slowly
+  const tones = [65.41, 98, 131.2].map(frequency => {
+    const tone = ctx.createOscillator();
+    tone.type = 'triangle';
+    tone.frequency.value = frequency;
+    tone.connect(filter);
+    return tone;
+  });
+
+  return startSources([...tones, createLfo(ctx, filter.frequency, 0.05, 200)]);
+}
+
+function playFile(ctx, output, url) {
+  let source = null;
+  let isStopped = false;
+
+  const buffer = fileBuffers.get(url) || fetch(url)
+    .then(response => response.arrayBuffer())
+    .then(data => ctx.decodeAudioData(data));
+  fileBuffers.set(url, buffer);
+
+  buffer
+    .then(decoded => {
+      if (isStopped) return;
+      source = ctx.createBufferSource();
+      source.buffer = decoded;
+      source.loop = true;
+      source.connect(output);
+      source.start();
+    })
+    .catch(error => {
+      console.error(`Error loading ambient file ${url}:`, error);
+      fileBuffers.delete(url);
+    });
+
+  return () => {
+    isStopped = true;
+    source?.stop();
+  };
+}
+
+const GENERATIVE_BEDS = {
+  water: playWater,
+  wind: playWind,
+  chimes: playChimes,
+  drone: playDrone
+};
+
+// Anything that is not a generative bed is the URL of a file to loop
+function playBed(id, ctx, output) {
+  const play = GENERATIVE_BEDS[id];
+  return play ? play(ctx, output) : playFile(ctx, output, id);
+}
+
+function applyVolume(seconds = soundscape.duckSeconds) {
+  if (!context) return;
+  const level = soundscape.levels[wanted.level] ?? 1;
+  const target = isMuted ? 0 : VOLUME * level * (isDucked ? soundscape.duck : 1);
+  master.gain.setTargetAtTime(target, context.currentTime, seconds / 3);
+}
+
+// Fade the new bed in while the old one fades out
+function crossfadeTo(id) {
+  if (!context || bed?.id === id) return;
+  const now = context.currentTime;
+
+  if (bed) {
+    const previous = bed;
+    previous.output.gain.cancelScheduledValues(now);
+    previous.output.gain.setValueAtTime(previous.output.gain.value, now);
+    previous.output.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS);
+    setTimeout(() => {
+      previous.stop();
+      previous.output.disconnect();
+    }, CROSSFADE_SECONDS * 1000 + 100);
+  }
+
+  const output = context.createGain();
+  output.gain.setValueAtTime(0, now);
+  output.gain.linearRampToValueAtTime(1, now + CROSSFADE_SECONDS);
+  output.connect(master);
+  bed = { id, output, stop: playBed(id, context, output) };
+  console.log(`🌊 Ambient bed: ${id}`);
+}
+
+// Browsers keep audio suspended until the page is touched (start kiosks with an autoplay policy that allows it)
+function resumeOnGesture() {
+  const resume = () => {
+    context?.resume();
+    window.removeEventListener('pointerdown', resume);
+    window.removeEventListener('keydown', resume);
+  };
+  window.addEventListener('pointerdown', resume);
+  window.addEventListener('keydown', resume);
+}
+
+/**
+ * Start the ambient sound on this screen (once), with the last requested bed
+ */
+export function startAmbient() {
+  if (context || !isAmbientSupported()) return;
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  context = new AudioContextClass();
+  master = context.createGain();
+  master.gain.value = 0;
+  master.connect(context.destination);
+  if (context.state === 'suspended') {
+    console.warn('⚠️ Ambient sound waits for a first touch (autoplay policy)');
+    resumeOnGesture();
+  }
+
+  crossfadeTo(wanted.id);
+  applyVolume(CROSSFADE_SECONDS);
+}
+
+/**
+ * Stop the ambient sound and release the audio device
+ */
+export function stopAmbient() {
+  if (!context) return;
+  bed?.stop();
+  context.close();
+  context = null;
+  master = null;
+  bed = null;
+}
+
+/**
+ * Play the bed of an emotion's family (crossfading from the current one)
+ * @param {string} emotion - Emotion of the poem on screen ('' while nothing is written: the default bed)
+ * @param {string} [level=AMBIENT_LEVELS.POEM] - One of AMBIENT_LEVELS
+ */
+export function playAmbient(emotion, level = AMBIENT_LEVELS.POEM) {
+  const family = emotion ? getEmotionFamily(emotion) : null;
+  wanted = { id: soundscape.families[family] || soundscape.default, level };
+  crossfadeTo(wanted.id);
+  applyVolume(CROSSFADE_SECONDS);
+}
+
+/**
+ * Lower the bed while a narration is heard
+ * @param {boolean} ducked
+ */
+export function duckAmbient(ducked) {
+  if (isDucked === ducked) return;
+  isDucked = ducked;
+  applyVolume();
+}
+
+/**
+ * Silence or bring back the ambient sound
+ * @param {boolean} muted
+ */
+export function setAmbientMuted(muted) {
+  isMuted = muted;
+  applyVolume();
+}
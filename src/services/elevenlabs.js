@@ -1,26 +1,102 @@
-// ElevenLabs Text-to-Speech Service
+// Text-to-Speech Service: ElevenLabs, with the browser voices (Web Speech API) as fallback
+import { recordSpeechUsage } from './usage';
+import narrationProfiles from './narrationProfiles.json';
+import voices from './voices.json';
+import { isWebSpeechSupported, createWebSpeechNarration } from './webSpeech';
+import { alignmentToWordTimings } from './wordTimings';
+
 const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY;
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
 
-// Spanish voices - Choose one that fits the emotional tone
-const VOICE_IDS = {
-  // Pre-made voices (siempre disponibles)
-  molete: 'rBuvl8SyA9yzqJ8oZodv', // Molete - female
-  samantha: '145B0ewr1Bbkr5Q6lz0f', // Samantha - female
-  koraly: 'sH0WdfE5fsKuM2otdQZr', // Koraly - female
-  jeremy: 'jQdbxbLkTIH1gFKm1h2G', // Jeremy - male
-  
-  // Voces en español recomendadas (pueden variar según tu cuenta)
-  // Reemplaza estos IDs con los que encuentres en tu cuenta
-  default: 'sH0WdfE5fsKuM2otdQZr', // 👈 CAMBIA ESTE ID POR TU VOZ FAVORITA
-  
-  // Para agregar más voces:
-  // 1. Ve a https://elevenlabs.io/app/voice-lab
-  // 2. Copia el Voice ID de la voz que te guste
-  // 3. Agrégala aquí:
-  // miVozFavorita: 'tu_voice_id_aqui',
+// Voices by key (voices.json, bundled at build time): "default" is the installation voice,
+// the others are referenced by the narration profiles. Change them with `npm run voices -- --use`
+const VOICE_IDS = Object.fromEntries(Object.entries(voices).map(([key, voice]) => [key, voice.id]));
+
+const DEFAULT_TTS_MODEL = 'eleven_v3';
+
+// Narration per poem language (ISO 639-1). eleven_v3 reads these languages with
+// any voice, so only the performance tag is translated. Set VITE_ELEVENLABS_VOICE_<LANG>
+// (e.g. VITE_ELEVENLABS_VOICE_EN) to use a native voice for a language.
+const NARRATION_LANGUAGES = {
+  es: { tag: '[relata un poema]' },
+  en: { tag: '[recites a poem]' },
+  ca: { tag: '[recita un poema]' },
+  fr: { tag: '[récite un poème]' },
+  it: { tag: '[recita una poesia]' },
+  pt: { tag: '[recita um poema]' },
+  de: { tag: '[trägt ein Gedicht vor]' }
 };
 
+// Other languages: multilingual v2, without a tag (v2 would read it aloud)
+const FALLBACK_NARRATION = { modelId: 'eleven_multilingual_v2', tag: null };
+
+// Delivery per emotion family (narrationProfiles.json): voice (a VOICE_IDS key or a
+// voice ID), voice settings and a performance tag per language replacing the one above.
+// Poems whose emotion matches no family keep the default delivery.
+const DEFAULT_NARRATION_PROFILE = 'default';
+
+const normalize = (text = '') => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Profile whose keyword stems start one of the emotion's words
+function findNarrationProfile(emotion) {
+  const words = normalize(emotion).split(/[^a-z]+/).filter(Boolean);
+  return narrationProfiles.profiles
+    .find(profile => profile.keywords.some(stem => words.some(word => word.startsWith(stem)))) || null;
+}
+
+/**
+ * Emotion family of an emotion, shared by the narration and the ambient sound
+ * @param {string} emotion - Emotion of the poem
+ * @returns {string} - Profile id from narrationProfiles.json, or "default" when no family matches
+ */
+export function getEmotionFamily(emotion) {
+  return findNarrationProfile(emotion)?.id || DEFAULT_NARRATION_PROFILE;
+}
+
+/**
+ * Choose how a poem is narrated: model and tag by language, voice and delivery by emotion
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-1 code of the poem
+ * @param {string} [options.emotion] - Emotion of the poem; picks the profile of its family
+ * @param {string} [options.profile] - Profile saved with the poem's audio (wins over the emotion, so it is narrated the same way again)
+ * @param {string} [options.voiceId] - Voice ID overriding the profile's
+ * @returns {{profile: string, modelId: string, tag: string|null, voiceId: string, voiceSettings: Object}}
+ *   `voiceId` is the voice actually used: the explicit one, else VITE_ELEVENLABS_VOICE_<LANG>, else the profile's
+ */
+export function selectNarration({ language = 'es', emotion = '', profile: profileId = null, voiceId = null } = {}) {
+  const profile = (profileId && narrationProfiles.profiles.find(item => item.id === profileId))
+    || findNarrationProfile(emotion);
+  const delivery = { ...narrationProfiles.default, ...profile };
+  const narration = NARRATION_LANGUAGES[language] || FALLBACK_NARRATION;
+
+  return {
+    profile: profile?.id || DEFAULT_NARRATION_PROFILE,
+    modelId: narration.modelId || DEFAULT_TTS_MODEL,
+    // Only models that perform tags get one
+    tag: narration.tag && (delivery.tags?.[language] || narration.tag),
+    voiceId: voiceId
+      || import.meta.env[`VITE_ELEVENLABS_VOICE_${language.toUpperCase()}`]
+      || VOICE_IDS[delivery.voice]
+      || delivery.voice,
+    voiceSettings: {
+      stability: delivery.stability, // 0-1, higher = more consistent
+      similarity_boost: delivery.similarityBoost, // 0-1, higher = more similar to original voice
+      style: delivery.style, // 0-1, exaggeration of style
+      use_speaker_boost: true
+    }
+  };
+}
+
+/**
+ * Text actually sent to text-to-speech: the poem after its performance tag
+ * @param {string} text - Poem text
+ * @param {{tag: string|null}} narration - Settings from selectNarration
+ * @returns {string}
+ */
+export function getSpokenText(text, narration) {
+  return narration.tag ? `${narration.tag} ${text}` : text;
+}
+
 /**
  * Check if ElevenLabs is properly configured
  */
@@ -33,10 +109,68 @@ export function isElevenLabsConfigured() {
 /**
  * Generate speech audio from text using ElevenLabs
  * @param {string} text - The poem text to convert to speech
- * @param {string} voiceId - Optional voice ID to use
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-1 code of the text; picks the model and tag
+ * @param {string} [options.emotion] - Emotion of the poem; picks the voice and delivery (see selectNarration)
+ * @param {string} [options.profile] - Narration profile saved with the poem, instead of the emotion's
+ * @param {string} [options.voiceId] - Voice ID overriding the one for the language and emotion
+ * @param {string} [options.poemId] - Poem being narrated, to link the recorded usage
  * @returns {Promise<Blob>} - Audio blob
  */
-export async function generateSpeech(text, voiceId = VOICE_IDS.default) {
+export async function generateSpeech(text, options = {}) {
+  const { audio } = await generateTimedSpeech(text, options);
+  return audio;
+}
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+// Read the streamed answer (one JSON object per line: a piece of the audio and the
+// alignment of the characters it speaks), passing each audio piece on as it arrives
+async function readSpeechStream(response, onAudioChunk) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const chunks = [];
+  const alignment = { characters: [], character_start_times_seconds: [], character_end_times_seconds: [] };
+  let pending = '';
+
+  const readLine = (line) => {
+    if (!line.trim()) return;
+    const { audio_base64: audioBase64, alignment: chunkAlignment } = JSON.parse(line);
+    if (audioBase64) {
+      const bytes = base64ToBytes(audioBase64);
+      chunks.push(bytes);
+      onAudioChunk?.(bytes);
+    }
+    if (chunkAlignment) {
+      alignment.characters.push(...chunkAlignment.characters);
+      alignment.character_start_times_seconds.push(...chunkAlignment.character_start_times_seconds);
+      alignment.character_end_times_seconds.push(...chunkAlignment.character_end_times_seconds);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    pending += value;
+    const lines = pending.split('\n');
+    pending = lines.pop() ?? '';
+    lines.forEach(readLine);
+  }
+  readLine(pending);
+
+  return { audio: new Blob(chunks, { type: 'audio/mpeg' }), alignment };
+}
+
+/**
+ * Generate speech audio and the time each word is spoken (ElevenLabs alignment).
+ * The audio is streamed: pass `onAudioChunk` to play it while the rest is synthesized.
+ * @param {string} text - The poem text to convert to speech
+ * @param {Object} [options] - Same options as generateSpeech, plus:
+ * @param {(bytes: Uint8Array) => void} [options.onAudioChunk] - Receives each MP3 chunk as it arrives
+ * @returns {Promise<{audio: Blob, wordTimings: number[][]|null}>} - Audio blob and [start, end] seconds of each word of `text`
+ *   (null when the alignment does not match the text)
+ */
+export async function generateTimedSpeech(text, { language = 'es', emotion, profile, voiceId, poemId = null, onAudioChunk } = {}) {
   if (!isElevenLabsConfigured()) {
     throw new Error('ElevenLabs API key not configured');
   }
@@ -45,29 +179,27 @@ export async function generateSpeech(text, voiceId = VOICE_IDS.default) {
     throw new Error('No text provided for speech generation');
   }
 
+  const narration = selectNarration({ language, emotion, profile, voiceId });
+  const spokenText = getSpokenText(text, narration);
+
   try {
     
-    const response = await fetch(`${ELEVENLABS_API_URL}/${voiceId}`, {
+    const response = await fetch(`${ELEVENLABS_API_URL}/${narration.voiceId}/stream/with-timestamps`, {
       method: 'POST',
       headers: {
-        'Accept': 'audio/mpeg',
+        'Accept': 'application/json',
         'Content-Type': 'application/json',
         'xi-api-key': ELEVENLABS_API_KEY
       },
       body: JSON.stringify({
-        text: `[relata un poema] ${text}`,
+        text: spokenText,
         // Modelos disponibles:
         // 'eleven_multilingual_v2' - Calidad estándar, estable (anterior)
         // 'eleven_flash_v2_5'     - Más rápido, baja latencia
         // 'eleven_turbo_v2_5'     - Balance entre velocidad y calidad
         // 'eleven_v3'             - (Alpha) Máxima expresividad y calidad
-        model_id: 'eleven_v3', 
-        voice_settings: {
-          stability: 0.5, // 0-1, higher = more consistent
-          similarity_boost: 0.75, // 0-1, higher = more similar to original voice
-          style: 0.3, // 0-1, exaggeration of style
-          use_speaker_boost: true
-        }
+        model_id: narration.modelId,
+        voice_settings: narration.voiceSettings
       })
     });
 
@@ -77,10 +209,15 @@ export async function generateSpeech(text, voiceId = VOICE_IDS.default) {
       throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
     }
 
-    const audioBlob = await response.blob();
-    console.log('✅ Speech generated successfully');
+    const { audio: audioBlob, alignment } = await readSpeechStream(response, onAudioChunk);
+    // The tag is spoken (performed) before the poem
+    const wordTimings = alignmentToWordTimings(text, alignment, spokenText.length - text.length);
+    if (!wordTimings) console.warn('⚠️ Speech alignment does not match the poem, words will not be highlighted');
+    console.log(`✅ Speech generated successfully (${language}, ${narration.modelId}, ${narration.profile})`);
+    // Billed per character sent, tag included
+    recordSpeechUsage({ model: narration.modelId, characters: spokenText.length, poemId });
     
-    return audioBlob;
+    return { audio: audioBlob, wordTimings };
   } catch (error) {
     console.error('Error generating speech:', error);
     throw error;
@@ -90,11 +227,16 @@ export async function generateSpeech(text, voiceId = VOICE_IDS.default) {
 /**
  * Create an audio URL from a poem text
  * @param {string} poemText - The poem to convert
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-1 code of the poem
+ * @param {string} [options.emotion] - Emotion of the poem, for the voice and delivery
+ * @param {string} [options.profile] - Narration profile saved with the poem, instead of the emotion's
+ * @param {string} [options.poemId] - Saved poem id, to link the recorded usage
  * @returns {Promise<string>} - Object URL for the audio
  */
-export async function createPoemAudio(poemText) {
+export async function createPoemAudio(poemText, { language, emotion, profile, poemId } = {}) {
   // Keep line breaks - ElevenLabs handles them naturally for proper verse pauses
-  const audioBlob = await generateSpeech(poemText);
+  const audioBlob = await generateSpeech(poemText, { language, emotion, profile, poemId });
   const audioUrl = URL.createObjectURL(audioBlob);
   
   return audioUrl;
@@ -109,3 +251,56 @@ export function cleanupAudioUrl(audioUrl) {
     URL.revokeObjectURL(audioUrl);
   }
 }
+
+/**
+ * A speech provider narrates poems.
+ * @typedef {Object} SpeechProvider
+ * @property {string} id - Registry key, used in VITE_TTS_PROVIDER
+ * @property {'audio'|'live'} output - "audio": `synthesize(text, options)` resolves to `{audio, wordTimings}`, an audio Blob
+ *   (played, uploaded and reused) and the [start, end] seconds of each word, or null; providers that stream
+ *   also pass each MP3 chunk to `options.onAudioChunk` as it arrives;
+ *   "live": `createNarration(text, options)` reads it aloud in the browser, with play/pause/stop controls and nothing to store
+ * @property {() => boolean} isAvailable - Whether the provider can be used here
+ */
+
+const elevenLabsProvider = {
+  id: 'elevenlabs',
+  output: 'audio',
+  isAvailable: () => Boolean(isElevenLabsConfigured()),
+  synthesize: generateTimedSpeech
+};
+
+// Browser voices: no key, no network, no quota
+const webSpeechProvider = {
+  id: 'webspeech',
+  output: 'live',
+  isAvailable: isWebSpeechSupported,
+  createNarration: createWebSpeechNarration
+};
+
+const SPEECH_PROVIDERS = [elevenLabsProvider, webSpeechProvider];
+const DEFAULT_SPEECH_PROVIDER_ID = elevenLabsProvider.id;
+
+/**
+ * Speech providers that can narrate here: the one selected through VITE_TTS_PROVIDER
+ * (ElevenLabs by default), then Web Speech as the fallback when it is missing or fails
+ * @returns {SpeechProvider[]}
+ */
+export function getSpeechProviders() {
+  const id = import.meta.env.VITE_TTS_PROVIDER || DEFAULT_SPEECH_PROVIDER_ID;
+  let preferred = SPEECH_PROVIDERS.find(provider => provider.id === id);
+  if (!preferred) {
+    console.warn(`⚠️ Unknown speech provider "${id}", falling back to "${DEFAULT_SPEECH_PROVIDER_ID}"`);
+    preferred = elevenLabsProvider;
+  }
+
+  const chain = preferred === webSpeechProvider ? [webSpeechProvider] : [preferred, webSpeechProvider];
+  return chain.filter(provider => provider.isAvailable());
+}
+
+/**
+ * Whether poems can be heard at all (ElevenLabs or the browser's voices)
+ */
+export function isSpeechAvailable() {
+  return getSpeechProviders().length > 0;
+}
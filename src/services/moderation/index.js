@@ -0,0 +1,63 @@
+import wordlistBackend from './wordlist';
+import openaiBackend from './openai';
+
+/**
+ * A moderation backend classifies texts before a poem is published.
+ * @typedef {Object} ModerationBackend
+ * @property {string} id - Registry key, used in VITE_MODERATION_BACKEND
+ * @property {() => boolean} isConfigured - Whether the backend can be used
+ * @property {(texts: string[]) => Promise<{flagged: boolean, categories: string[]}>} moderate
+ */
+
+const DEFAULT_BACKEND_ID = 'wordlist';
+// Disables moderation entirely
+const OFF_BACKEND_ID = 'off';
+
+const backends = new Map([
+  [wordlistBackend.id, wordlistBackend],
+  [openaiBackend.id, openaiBackend]
+]);
+
+function getModerationBackend() {
+  const id = import.meta.env.VITE_MODERATION_BACKEND || DEFAULT_BACKEND_ID;
+  if (id === OFF_BACKEND_ID) return null;
+
+  const backend = backends.get(id);
+  if (!backend) {
+    console.warn(`⚠️ Unknown moderation backend "${id}", falling back to "${DEFAULT_BACKEND_ID}"`);
+    return wordlistBackend;
+  }
+  if (!backend.isConfigured()) {
+    console.warn(`⚠️ Moderation backend "${id}" is not configured, using "${DEFAULT_BACKEND_ID}"`);
+    return wordlistBackend;
+  }
+  return backend;
+}
+
+/**
+ * Classify a generated poem before it is saved or shown on the projection.
+ * Checks the model's reading of the canvas (emotion and analysis) and the poem itself.
+ * Never throws: if the configured backend fails, the local wordlist decides.
+ * @param {Object} result - Poem result from generatePoemMultimodal
+ * @param {string} result.emotion
+ * @param {string} [result.analysis] - What the model saw on the canvas and face
+ * @param {string} result.poem
+ * @returns {Promise<{flagged: boolean, categories: string[], backend: string}>}
+ */
+export async function moderatePoem({ emotion, analysis, poem }) {
+  const backend = getModerationBackend();
+  if (!backend) {
+    return { flagged: false, categories: [], backend: OFF_BACKEND_ID };
+  }
+
+  const texts = [emotion, analysis, poem].filter(Boolean);
+
+  try {
+    const verdict = await backend.moderate(texts);
+    return { ...verdict, backend: backend.id };
+  } catch (error) {
+    console.error(`❌ Moderation backend "${backend.id}" failed, using the wordlist:`, error);
+    const verdict = await wordlistBackend.moderate(texts);
+    return { ...verdict, backend: wordlistBackend.id };
+  }
+}
@@ -0,0 +1,31 @@
+import { getOpenAIClient, isOpenAIConfigured } from '../poemProviders/openai';
+
+const MODERATION_MODEL = 'omni-moderation-latest';
+const MODERATION_TIMEOUT_MS = 8000;
+
+// OpenAI moderation endpoint: better with context and other languages, needs
+// VITE_OPENAI_API_KEY and the network
+const openaiBackend = {
+  id: 'openai',
+  isConfigured: isOpenAIConfigured,
+  moderate: async (texts) => {
+    const response = await getOpenAIClient().moderations.create(
+      { model: MODERATION_MODEL, input: texts },
+      { timeout: MODERATION_TIMEOUT_MS, maxRetries: 0 }
+    );
+
+    const categories = new Set();
+    response.results.forEach(result => {
+      Object.entries(result.categories)
+        .filter(([, isFlagged]) => isFlagged)
+        .forEach(([category]) => categories.add(category));
+    });
+
+    return {
+      flagged: response.results.some(result => result.flagged),
+      categories: [...categories]
+    };
+  }
+};
+
+export default openaiBackend;
@@ -0,0 +1,64 @@
+// Local wordlist backend: works offline and catches installation-specific terms.
+// Terms are matched as whole words (or whole phrases) after normalization.
+
+const WORDLIST = {
+  insult: [
+    'puta', 'puto', 'mierda', 'cabron', 'cabrona', 'gilipollas', 'pendejo', 'pendeja',
+    'coño', 'cojones', 'hijoputa', 'hijo de puta', 'malparido', 'zorra', 'culo',
+    'fuck', 'fucking', 'shit', 'bitch', 'asshole', 'cunt'
+  ],
+  sexual: [
+    'polla', 'follar', 'follame', 'porno', 'tetas', 'semen', 'mamada',
+    'dick', 'cock', 'pussy', 'porn', 'blowjob'
+  ],
+  hate: [
+    'maricon', 'marica', 'sudaca', 'negrata', 'retrasado', 'subnormal', 'nazi', 'heil hitler',
+    'faggot', 'nigger', 'nigga', 'retard'
+  ],
+  self_harm: [
+    'suicidarme', 'matarme', 'cortarme las venas', 'quiero morirme',
+    'kill myself', 'suicide'
+  ],
+  violence: [
+    'te voy a matar', 'te mato', 'violar', 'violacion',
+    'i will kill you', 'rape'
+  ]
+};
+
+// Lowercase, keep ñ apart from n, drop accents, undo common letter swaps and collapse repeats
+// ("PUTAAA", "p0ta" and "putá" all become "puta")
+export function normalizeForModeration(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/ñ/g, 'ny')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[0134@$]/g, (char) => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', '@': 'a', $: 's' })[char])
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+// Extra terms for this installation, comma separated (VITE_MODERATION_EXTRA_TERMS)
+const extraTerms = (import.meta.env.VITE_MODERATION_EXTRA_TERMS || '')
+  .split(',')
+  .map(term => term.trim())
+  .filter(Boolean);
+
+const NORMALIZED_WORDLIST = Object.entries({ ...WORDLIST, custom: extraTerms })
+  .map(([category, terms]) => [category, terms.map(normalizeForModeration).filter(Boolean)]);
+
+const wordlistBackend = {
+  id: 'wordlist',
+  isConfigured: () => true,
+  moderate: async (texts) => {
+    const haystack = ` ${texts.map(normalizeForModeration).join(' ')} `;
+    const categories = NORMALIZED_WORDLIST
+      .filter(([, terms]) => terms.some(term => haystack.includes(` ${term} `)))
+      .map(([category]) => category);
+
+    return { flagged: categories.length > 0, categories };
+  }
+};
+
+export default wordlistBackend;
@@ -0,0 +1,90 @@
+import { selectNarration, getSpokenText } from './elevenlabs';
+import { findCachedNarration, saveCachedNarration } from './supabase';
+import { queueCachedNarration } from './outbox';
+
+// Narrations are content-addressed: the key hashes everything that changes the audio
+// (model, voice, voice settings and the spoken text, tag included). Retries, re-views,
+// the gallery and a save that finished after the audio all reuse the same file.
+
+// Narrations being synthesized in this tab, by key (a re-render must not pay twice)
+const pendingNarrations = new Map();
+
+/**
+ * Content hash of a narration
+ * @param {string} text - Poem text
+ * @param {Object} narration - Settings from selectNarration
+ * @returns {Promise<string|null>} - Hex SHA-256, or null where Web Crypto is unavailable (plain http)
+ */
+export async function getNarrationKey(text, narration) {
+  if (!globalThis.crypto?.subtle) return null;
+
+  const content = JSON.stringify([narration.modelId, narration.voiceId, narration.voiceSettings, getSpokenText(text, narration)]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function loadNarration(provider, text, narration, cacheKey, poemId, onAudioChunk) {
+  if (cacheKey) {
+    const cached = await findCachedNarration(cacheKey);
+    if (cached) {
+      console.log('♻️ Reusing cached narration');
+      return { ...cached, audio: null, narration, cached: true };
+    }
+  }
+
+  const { audio, wordTimings } = await provider.synthesize(text, {
+    language: narration.language,
+    profile: narration.profile,
+    voiceId: narration.voiceId,
+    poemId,
+    onAudioChunk
+  });
+
+  const cachedNarration = {
+    cacheKey,
+    audioBlob: audio,
+    wordTimings,
+    modelId: narration.modelId,
+    voiceId: narration.voiceId,
+    voiceProfile: narration.profile,
+    characters: getSpokenText(text, narration).length
+  };
+  // Stored right away when possible (iOS plays the stored file); otherwise the outbox keeps
+  // the audio and uploads it when the network is back, under the same URL. Audio that
+  // storage refuses for good is only played here
+  const audioUrl = cacheKey
+    ? await saveCachedNarration(cachedNarration).then(url => url || queueCachedNarration(cachedNarration), () => null)
+    : null;
+
+  return { audioUrl, wordTimings, audio, narration, cached: false };
+}
+
+/**
+ * Narrate a poem with an "audio" speech provider, reusing the stored audio when the same
+ * content was already narrated. Synthesizes at most once per content.
+ * @param {Object} provider - Speech provider with `synthesize` (see getSpeechProviders)
+ * @param {string} text - Poem text
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-1 code of the poem
+ * @param {string} [options.emotion] - Emotion of the poem, for the voice and delivery
+ * @param {string} [options.profile] - Narration profile saved with the poem, instead of the emotion's
+ * @param {string} [options.poemId] - Poem being narrated, to link the recorded usage
+ * @param {(bytes: Uint8Array) => void} [options.onAudioChunk] - Receives the fresh audio as it streams in
+ *   (only the caller that starts the synthesis does: cached and shared narrations resolve whole)
+ * @returns {Promise<{audioUrl: string|null, audio: Blob|null, wordTimings: number[][]|null, narration: Object, cached: boolean}>}
+ *   `audioUrl` is the stored file (null when it could not be stored), `audio` the fresh audio (null when cached)
+ */
+export async function getPoemNarration(provider, text, { language = 'es', emotion, profile, poemId = null, onAudioChunk } = {}) {
+  const narration = { ...selectNarration({ language, emotion, profile }), language };
+  const cacheKey = await getNarrationKey(text, narration);
+  if (!cacheKey) {
+    console.warn('⚠️ Web Crypto unavailable (insecure context): narrations are not cached');
+    return loadNarration(provider, text, narration, null, poemId, onAudioChunk);
+  }
+
+  if (!pendingNarrations.has(cacheKey)) {
+    pendingNarrations.set(cacheKey, loadNarration(provider, text, narration, cacheKey, poemId, onAudioChunk)
+      .finally(() => pendingNarrations.delete(cacheKey)));
+  }
+  return pendingNarrations.get(cacheKey);
+}
@@ -0,0 +1,392 @@
+// Outbox: what the controller writes to Supabase (poems, canvas PNGs, narrations, audio links,
+// publications, usage) is stored in IndexedDB first and sent in order, retrying what may get
+// through later and dropping what Supabase refuses for good. A Wi-Fi blip at the venue delays a
+// poem instead of losing it, and whatever is left when the page closes is sent on the next start.
+// Poem ids are created client-side, so later jobs (the audio link, the usage record) can point to
+// a poem whose row does not exist yet; a job only waits for the earlier ones about the same poem
+// or audio file, so one stuck poem does not hold back the others.
+import {
+  isSupabaseConfigured,
+  toPoemRow,
+  savePoem,
+  uploadPoemInputImage,
+  getPoemInputImageUrl,
+  saveCachedNarration,
+  getCachedNarrationUrl,
+  updatePoemAudio,
+  publishPoemVariant,
+  saveUsage,
+  WriteRejectedError
+} from './supabase';
+
+const DB_NAME = 'guestbook-outbox';
+const DB_VERSION = 1;
+const JOBS_STORE = 'jobs';
+// A failed job waits RETRY_BASE_MS × 2^attempts (up to RETRY_MAX_MS) before the next try
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+// After this many failures a job is set aside (its dependents wait with it); set-aside jobs get
+// another round when the network comes back and on the next start, up to MAX_ROUNDS in all
+const MAX_ATTEMPTS = 8;
+const MAX_ROUNDS = 3;
+
+// What each job does; a falsy result (the services return null/false on errors) is retried,
+// a WriteRejectedError is a write that can never succeed and drops the job
+const JOB_HANDLERS = {
+  poem: (data) => savePoem(data),
+  inputImage: ({ dataUrl, emotion, poemId }) => uploadPoemInputImage(dataUrl, emotion, poemId),
+  narration: (data) => saveCachedNarration(data),
+  poemAudio: ({ poemId, editToken, audioUrl, details }) => updatePoemAudio(poemId, editToken, audioUrl, details),
+  publish: ({ poemId, editToken }) => publishPoemVariant(poemId, editToken),
+  usage: (data) => saveUsage(data)
+};
+
+// What a job is about: a job waits while an earlier one about the same thing is unsent
+// (the audio link and the publication wait for their poem, a version for its first poem)
+function jobKeys({ type, payload }) {
+  switch (type) {
+    case 'poem':
+      return [`poem:${payload.id}`, payload.parentPoemId && `poem:${payload.parentPoemId}`].filter(Boolean);
+    case 'narration':
+      return [`audio:${getCachedNarrationUrl(payload.cacheKey)}`];
+    case 'poemAudio':
+      return [`poem:${payload.poemId}`, `audio:${payload.audioUrl}`];
+    default:
+      return payload.poemId ? [`poem:${payload.poemId}`] : [];
+  }
+}
+
+let dbPromise = null;
+let flushing = null;
+let flushRequested = false;
+let retryTimer = null;
+let isStarted = false;
+const sentCallbacks = new Map(); // Job key → resolve of the promise returned by enqueue
+const editTokens = new Map(); // Poem id → edit token it was queued with (poems of this session)
+const listeners = new Set();
+let status = {
+  pending: 0,
+  failed: 0,
+  isOnline: typeof navigator === 'undefined' || navigator.onLine,
+  isSending: false
+};
+
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Subscribe to the outbox status (for useSyncExternalStore)
+ * @param {() => void} listener
+ * @returns {() => void} - Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current outbox status
+ * @returns {{pending: number, failed: number, isOnline: boolean, isSending: boolean}}
+ *   `pending` jobs waiting to be sent, `failed` jobs set aside after MAX_ATTEMPTS
+ */
+export function getOutboxStatus() {
+  return status;
+}
+
+function openOutbox() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Auto-increment keys keep the jobs in the order they were queued
+        request.result.createObjectStore(JOBS_STORE, { keyPath: 'key', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('⚠️ Outbox unavailable, writes are sent without retries:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(db, mode, operate) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(JOBS_STORE, mode);
+    const request = operate(transaction.objectStore(JOBS_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+const readJobs = (db) => runTransaction(db, 'readonly', store => store.getAll());
+const putJob = (db, job) => runTransaction(db, 'readwrite', store => store.put(job));
+const deleteJob = (db, key) => runTransaction(db, 'readwrite', store => store.delete(key));
+
+async function refreshStatus(db) {
+  const jobs = await readJobs(db);
+  const failed = jobs.filter(job => job.failed).length;
+  setStatus({ pending: jobs.length - failed, failed });
+}
+
+// 'sent', 'retry' (may get through later) or 'rejected' (can never succeed)
+async function runJob(type, payload) {
+  const handler = JOB_HANDLERS[type];
+  if (!handler) {
+    console.warn(`⚠️ Unknown outbox job "${type}", dropped`);
+    return 'rejected';
+  }
+  try {
+    return await handler(payload) ? 'sent' : 'retry';
+  } catch (error) {
+    if (error instanceof WriteRejectedError) {
+      console.error(`❌ Outbox job "${type}" refused, dropped:`, error);
+      return 'rejected';
+    }
+    console.error(`❌ Outbox job "${type}" failed:`, error);
+    return 'retry';
+  }
+}
+
+function scheduleRetry(at) {
+  clearTimeout(retryTimer);
+  if (at < Infinity) retryTimer = setTimeout(flushOutbox, Math.max(at - Date.now(), 0));
+}
+
+// Send the jobs in order; a job that is waiting for a retry, or set aside, holds back the later
+// jobs about the same poem or audio file (see jobKeys) and nothing else
+async function sendJobs() {
+  const db = await openOutbox();
+  if (!db) return;
+  clearTimeout(retryTimer);
+  setStatus({ isSending: true });
+  let nextAttemptAt = Infinity;
+
+  try {
+    const blocked = new Set();
+    for (const job of await readJobs(db)) {
+      if (!navigator.onLine) break;
+      const keys = jobKeys(job);
+      const isWaiting = job.failed || job.nextAttemptAt > Date.now() || keys.some(key => blocked.has(key));
+      const result = isWaiting ? null : await runJob(job.type, job.payload);
+
+      if (result === 'sent' || result === 'rejected') {
+        await deleteJob(db, job.key);
+        if (result === 'sent') sentCallbacks.get(job.key)?.();
+        sentCallbacks.delete(job.key);
+        await refreshStatus(db);
+        continue;
+      }
+
+      keys.forEach(key => blocked.add(key));
+      if (result === 'retry') {
+        const attempts = job.attempts + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+          const rounds = (job.rounds || 0) + 1;
+          console.error(`❌ Outbox job "${job.type}" set aside after ${attempts} attempts (round ${rounds} of ${MAX_ROUNDS})`);
+          await putJob(db, { ...job, attempts, rounds, failed: true });
+          await refreshStatus(db);
+          continue;
+        }
+        const retryAt = Date.now() + Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+        await putJob(db, { ...job, attempts, nextAttemptAt: retryAt });
+        nextAttemptAt = Math.min(nextAttemptAt, retryAt);
+      } else if (!job.failed && job.nextAttemptAt > Date.now()) {
+        nextAttemptAt = Math.min(nextAttemptAt, job.nextAttemptAt);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error reading the outbox:', error);
+  } finally {
+    scheduleRetry(nextAttemptAt);
+    setStatus({ isSending: false });
+  }
+}
+
+/**
+ * Send what is waiting in the outbox (also runs by itself after each queued job and on retries)
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+  if (flushing) {
+    flushRequested = true;
+    return flushing;
+  }
+  flushing = sendJobs().finally(() => {
+    flushing = null;
+    if (flushRequested) {
+      flushRequested = false;
+      flushOutbox();
+    }
+  });
+  return flushing;
+}
+
+// Send the waiting jobs now, and give set-aside jobs another round of attempts
+// unless they already had MAX_ROUNDS (those stay set aside)
+async function resumeJobs() {
+  const db = await openOutbox();
+  if (!db) return;
+  try {
+    for (const job of await readJobs(db)) {
+      if (job.failed && (job.rounds || 0) >= MAX_ROUNDS) continue;
+      if (job.failed || job.nextAttemptAt) {
+        await putJob(db, { ...job, attempts: job.failed ? 0 : job.attempts, failed: false, nextAttemptAt: 0 });
+      }
+    }
+    await refreshStatus(db);
+  } catch (error) {
+    console.error('❌ Error reading the outbox:', error);
+  }
+  flushOutbox();
+}
+
+/**
+ * Start sending the outbox: what a previous visit left behind now, the rest when the network returns
+ */
+export function startOutbox() {
+  if (isStarted || !isSupabaseConfigured()) return;
+  isStarted = true;
+
+  window.addEventListener('online', () => {
+    console.log('📶 Back online, sending the outbox');
+    setStatus({ isOnline: true });
+    resumeJobs();
+  });
+  window.addEventListener('offline', () => setStatus({ isOnline: false }));
+  resumeJobs();
+}
+
+/**
+ * Queue a write
+ * @param {string} type - Key of JOB_HANDLERS
+ * @param {Object} payload - Structured-cloneable arguments (Blobs included)
+ * @returns {Promise<{sent: Promise<void>}>} - Resolves once stored; `sent` resolves when the job gets through in this session
+ */
+async function enqueue(type, payload) {
+  const db = await openOutbox();
+  if (db) {
+    try {
+      const key = await runTransaction(db, 'readwrite', store => store.add({ type, payload, attempts: 0, rounds: 0, failed: false, nextAttemptAt: 0, createdAt: Date.now() }));
+      const sent = new Promise(resolve => sentCallbacks.set(key, resolve));
+      await refreshStatus(db);
+      flushOutbox();
+      return { sent };
+    } catch (error) {
+      console.error('❌ Error queueing in the outbox:', error);
+    }
+  }
+
+  // No IndexedDB (some private modes) or no room: send it right away, without the safety net
+  const sent = runJob(type, payload).then(result => {
+    if (result !== 'sent') return new Promise(() => {});
+  });
+  return { sent };
+}
+
+/**
+ * Create a record id client-side (UUID v4): a retried insert finds its earlier copy instead of duplicating it
+ * @returns {string}
+ */
+export function createRecordId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+
+  // Plain http has no randomUUID: build it from random bytes
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Queue a poem to be saved
+ * @param {Object} data - Poem data (see toPoemRow); an id is created when missing, and an edit
+ *   token (see savePoem), shared by the versions of the same canvas
+ * @returns {Promise<Object|null>} - The record as it will be saved (null without Supabase)
+ */
+export async function queuePoem(data) {
+  if (!isSupabaseConfigured()) return null;
+  const poem = {
+    ...data,
+    id: data.id || createRecordId(),
+    editToken: data.editToken || editTokens.get(data.parentPoemId) || createRecordId()
+  };
+  editTokens.set(poem.id, poem.editToken);
+  await enqueue('poem', poem);
+  return { ...toPoemRow(poem), created_at: new Date().toISOString() };
+}
+
+/**
+ * Queue the canvas of a poem to be uploaded
+ * @param {string} dataUrl - PNG data URL
+ * @param {string} emotion - Emotion for filename
+ * @param {string} poemId - Poem the canvas belongs to
+ * @returns {Promise<{url: string, sent: Promise<void>}|null>} - The URL it will have, and when it is there
+ */
+export async function queueInputImage(dataUrl, emotion, poemId) {
+  if (!isSupabaseConfigured()) return null;
+  const { sent } = await enqueue('inputImage', { dataUrl, emotion, poemId });
+  return { url: getPoemInputImageUrl(emotion, poemId), sent };
+}
+
+/**
+ * Queue a narration to be stored in the cache
+ * @param {Object} data - Same data as saveCachedNarration
+ * @returns {Promise<string|null>} - The URL it will have
+ */
+export async function queueCachedNarration(data) {
+  if (!isSupabaseConfigured()) return null;
+  await enqueue('narration', data);
+  return getCachedNarrationUrl(data.cacheKey);
+}
+
+// Edit token of a poem queued in this session; the app does not change other poems
+function getEditToken(poemId, change) {
+  const editToken = editTokens.get(poemId);
+  if (!editToken) console.warn(`⚠️ Poem ${poemId} was not written here, ${change} skipped`);
+  return editToken;
+}
+
+/**
+ * Queue the audio of a poem to be linked to it (after the poem itself, if it is still queued).
+ * Only for poems queued in this session
+ * @param {string} poemId
+ * @param {string} audioUrl
+ * @param {Object} [details] - Same details as updatePoemAudio
+ */
+export async function queuePoemAudio(poemId, audioUrl, details = {}) {
+  if (!isSupabaseConfigured()) return;
+  const editToken = getEditToken(poemId, 'audio link');
+  if (!editToken) return;
+  await enqueue('poemAudio', { poemId, editToken, audioUrl, details });
+}
+
+/**
+ * Queue the publication of the visitor's pick among the versions of a poem
+ * (one queued in this session)
+ * @param {string} poemId
+ */
+export async function queuePoemVariantPublish(poemId) {
+  if (!isSupabaseConfigured()) return;
+  const editToken = getEditToken(poemId, 'publication');
+  if (!editToken) return;
+  await enqueue('publish', { poemId, editToken });
+}
+
+/**
+ * Queue a usage record
+ * @param {Object} data - Same data as saveUsage; an id is created when missing
+ */
+export async function queueUsage(data) {
+  if (!isSupabaseConfigured()) return;
+  await enqueue('usage', { ...data, id: data.id || createRecordId() });
+}
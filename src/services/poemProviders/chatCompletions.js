@@ -0,0 +1,158 @@
+import { APIConnectionTimeoutError } from 'openai';
+import { buildPoemMessages, buildRepairMessage, DEFAULT_PROMPT_VERSION, IMAGE_DETAIL } from './prompt';
+import { parsePoemContent } from './schema';
+import { createPoemProgressReporter } from './streamParser';
+import { getPoemForm } from './forms';
+import { PoemTimeoutError, PoemRefusalError, PoemMalformedError, PoemUpstreamError } from './errors';
+
+// Per-request timeout for a completion
+export const POEM_TIMEOUT_MS = 30000;
+// Follow-up requests allowed after an invalid answer
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Consume a streamed completion into the same shape as a regular one
+async function collectStream(stream, onDelta) {
+  let content = '';
+  let refusal = '';
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    // With include_usage the last chunk carries the usage and no choices
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      onDelta(choice.delta.content);
+    }
+    if (choice.delta?.refusal) refusal += choice.delta.refusal;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  return { choices: [{ message: { content, refusal: refusal || null }, finish_reason: finishReason }], usage };
+}
+
+// Token usage of the whole generation, repairs included
+function addUsage(total, usage) {
+  return {
+    ...total,
+    promptTokens: total.promptTokens + (usage?.prompt_tokens || 0),
+    completionTokens: total.completionTokens + (usage?.completion_tokens || 0),
+    totalTokens: total.totalTokens + (usage?.total_tokens || 0),
+    requests: total.requests + 1
+  };
+}
+
+async function requestCompletion(client, { model, messages, maxTokens, timeout, signal, onDelta }) {
+  const params = {
+    model,
+    messages,
+    response_format: { type: "json_object" },
+    max_tokens: maxTokens, // Depends on the poetic form (longer for décima and prose)
+    temperature: 1.0, // Higher creativity
+  };
+
+  try {
+    if (!onDelta) {
+      return await client.chat.completions.create(params, { timeout, signal, maxRetries: 0 });
+    }
+    const stream = await client.chat.completions.create(
+      { ...params, stream: true, stream_options: { include_usage: true } },
+      { timeout, signal, maxRetries: 0 }
+    );
+    return await collectStream(stream, onDelta);
+  } catch (error) {
+    if (error instanceof APIConnectionTimeoutError) {
+      throw new PoemTimeoutError({ cause: error, details: { model, timeout } });
+    }
+    throw new PoemUpstreamError({ cause: error, details: { model } });
+  }
+}
+
+/**
+ * Tokens spent on a poem, summed over the repair requests
+ * @typedef {Object} PoemUsage
+ * @property {string} model - Model that was billed
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number} requests - Completions requested (1 + repairs)
+ * @property {string} imageDetail - Vision detail level of the images
+ * @property {number} imageCount - Images sent (canvas, and face when there is one)
+ */
+
+/**
+ * Run the multimodal poem prompt against any OpenAI-compatible chat completions client.
+ * Invalid answers are sent back to the model with the validation issues, up to MAX_REPAIR_ATTEMPTS times.
+ * @param {Object} client - OpenAI SDK client (official API or compatible endpoint)
+ * @param {Object} options
+ * @param {string} options.model - Model id to request
+ * @param {string} options.canvasBase64 - Base64 image of the canvas
+ * @param {string} [options.faceBase64] - Base64 image of the user's face
+ * @param {string} [options.form] - Poetic form id (see POEM_FORMS)
+ * @param {string} [options.language] - ISO 639-1 code, or "auto" to answer in the language of the handwriting
+ * @param {{version: number, systemPrompt: string}} [options.promptTemplate] - Prompt template (defaults to the bundled one)
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @param {AbortSignal} [options.signal] - Stops the pending request
+ * @param {(progress: {emotion: string|null, poem: string}) => void} [options.onProgress] - Streams the emotion, then the poem word by word
+ * @returns {Promise<{emotion: string, poem: string, analysis: string, language: string, model: string, promptVersion: number, usage: PoemUsage}>}
+ * @throws {PoemTimeoutError|PoemRefusalError|PoemMalformedError|PoemUpstreamError} - With the `usage` of the answers already received
+ */
+export async function generateWithChatCompletions(client, { model, canvasBase64, faceBase64, form: formId, language, promptTemplate, timeout = POEM_TIMEOUT_MS, signal, onProgress }) {
+  const form = getPoemForm(formId);
+  const messages = buildPoemMessages(canvasBase64, faceBase64, form, language, promptTemplate?.systemPrompt);
+  const promptVersion = promptTemplate?.version ?? DEFAULT_PROMPT_VERSION;
+  let usage = {
+    model,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    requests: 0,
+    imageDetail: IMAGE_DETAIL,
+    imageCount: faceBase64 ? 2 : 1
+  };
+  const progress = onProgress ? createPoemProgressReporter(onProgress) : null;
+
+  for (let attempt = 0; ; attempt++) {
+    progress?.reset();
+    const response = await requestCompletion(client, {
+      model,
+      messages,
+      maxTokens: form.maxTokens,
+      timeout,
+      signal,
+      onDelta: progress ? (delta) => progress.push(delta) : null
+    }).catch(error => {
+      // The earlier answers of the repair loop were billed all the same
+      if (usage.requests > 0) error.usage = usage;
+      throw error;
+    });
+    usage = addUsage(usage, response.usage);
+    const choice = response.choices?.[0];
+
+    if (!choice) {
+      throw new PoemUpstreamError({ details: { model, reason: 'empty choices' }, usage });
+    }
+
+    if (choice.message?.refusal || choice.finish_reason === 'content_filter') {
+      throw new PoemRefusalError({ details: { model, refusal: choice.message?.refusal || null }, usage });
+    }
+
+    const content = choice.message?.content ?? '';
+    const { value, issues } = parsePoemContent(content, { finishReason: choice.finish_reason, form, language });
+
+    if (value) return { ...value, model, promptVersion, usage };
+
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new PoemMalformedError({ details: { model, issues, content, attempts: attempt + 1 }, usage });
+    }
+
+    console.warn(`🔧 Invalid poem output (attempt ${attempt + 1}), asking for a repair:`, issues);
+    messages.push(
+      { role: "assistant", content },
+      { role: "user", content: buildRepairMessage(issues) }
+    );
+  }
+}
@@ -0,0 +1,122 @@
+import { FunctionsHttpError, FunctionsFetchError } from '@supabase/supabase-js';
+import { getSupabase, isSupabaseConfigured, APP_SLUG } from '../supabase';
+import { validatePoemResult } from './schema';
+import { createPoemProgressReporter } from './streamParser';
+import { getPoemForm } from './forms';
+import { POEM_TIMEOUT_MS, MAX_REPAIR_ATTEMPTS } from './chatCompletions';
+import { PoemTimeoutError, PoemMalformedError, PoemUpstreamError, poemErrorFromCode } from './errors';
+
+// Server-side proxy (supabase/functions/generate-poem): the OpenAI key stays
+// in the function secrets and never ships to the browser
+const FUNCTION_NAME = 'generate-poem';
+// The function may run the whole repair loop before answering
+const EDGE_TIMEOUT_MS = POEM_TIMEOUT_MS * (MAX_REPAIR_ATTEMPTS + 1);
+
+async function invokeGeneratePoem(body, signal) {
+  const { data, error } = await getSupabase().functions.invoke(FUNCTION_NAME, {
+    body,
+    signal,
+    timeout: EDGE_TIMEOUT_MS
+  });
+
+  if (error instanceof FunctionsHttpError) {
+    // The function reports the failure reason as { success: false, code, error, usage }
+    const payload = await error.context.json().catch(() => ({}));
+    throw poemErrorFromCode(payload.code, { cause: error, details: { status: error.context.status, error: payload.error }, usage: payload.usage });
+  }
+  if (error instanceof FunctionsFetchError && error.context?.name === 'AbortError') {
+    throw new PoemTimeoutError({ cause: error, details: { timeout: EDGE_TIMEOUT_MS } });
+  }
+  if (error) {
+    throw new PoemUpstreamError({ cause: error });
+  }
+
+  return data;
+}
+
+// Data of one SSE event, its data lines joined (null for events without data, like comments)
+function parseStreamEvent(rawEvent) {
+  const dataLines = rawEvent.split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+  if (dataLines.length === 0) return null;
+
+  try {
+    return JSON.parse(dataLines.join('\n'));
+  } catch (error) {
+    throw new PoemMalformedError({ cause: error, details: { reason: 'invalid stream event', event: rawEvent, source: FUNCTION_NAME } });
+  }
+}
+
+// Read the function's SSE events ({type: delta|retry|done|error}) and resolve with the final payload.
+// Aborting the signal stops reading: a stream stalled mid-body would otherwise wait forever
+async function readPoemStream(response, onProgress, signal) {
+  const progress = createPoemProgressReporter(onProgress);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const stop = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', stop, { once: true });
+  let pending = '';
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      pending += value;
+      // Proxies may turn line endings into \r\n; a trailing \r can be half of one, so it waits for the next chunk
+      const cut = pending.endsWith('\r') ? pending.length - 1 : pending.length;
+      const events = pending.slice(0, cut).replace(/\r\n?/g, '\n').split('\n\n');
+      pending = events.pop() + pending.slice(cut);
+
+      for (const rawEvent of events) {
+        const event = parseStreamEvent(rawEvent);
+        if (!event) continue;
+
+        if (event.type === 'delta') progress.push(event.content);
+        if (event.type === 'retry') progress.reset();
+        if (event.type === 'done') return { success: true, data: event.data };
+        if (event.type === 'error') {
+          throw poemErrorFromCode(event.code, { details: { error: event.error, source: FUNCTION_NAME }, usage: event.usage });
+        }
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', stop);
+  }
+
+  if (signal?.aborted) throw signal.reason;
+  throw new PoemUpstreamError({ details: { reason: 'stream ended without a poem', source: FUNCTION_NAME } });
+}
+
+const edgeProvider = {
+  id: 'edge',
+  model: 'gpt-4o',
+  configHint: 'Configura las variables de Supabase en el archivo .env para usar la función generate-poem',
+  isConfigured: isSupabaseConfigured,
+  generatePoem: async ({ canvasBase64, faceBase64, form, language, promptTemplate, model, signal, onProgress }) => {
+    const stream = Boolean(onProgress);
+    // Only the version travels: the function loads the template text itself
+    const response = await invokeGeneratePoem({
+      canvas: canvasBase64,
+      face: faceBase64 || null,
+      form,
+      language,
+      app: APP_SLUG,
+      promptVersion: promptTemplate?.version,
+      model,
+      stream
+    }, signal);
+    // Streaming answers come back as the raw Response (text/event-stream)
+    const data = stream ? await readPoemStream(response, onProgress, signal) : response;
+
+    // The function already validates, but never trust the wire
+    const { value, issues } = validatePoemResult(data?.data, { form: getPoemForm(form), language });
+    if (!value) {
+      throw new PoemMalformedError({ details: { issues, source: FUNCTION_NAME } });
+    }
+
+    return { ...value, model: data.data.model, promptVersion: data.data.promptVersion, usage: data.data.usage };
+  }
+};
+
+export default edgeProvider;
@@ -0,0 +1,91 @@
+// Typed errors for poem generation.
+// `code` lets the error screen and the logs tell failure reasons apart,
+// `message` is always safe to show to the visitor.
+
+export const POEM_ERROR_CODES = {
+  CONFIG: 'config',
+  TIMEOUT: 'timeout',
+  REFUSAL: 'refusal',
+  MALFORMED: 'malformed',
+  UPSTREAM: 'upstream',
+  CANCELLED: 'cancelled'
+};
+
+export class PoemGenerationError extends Error {
+  /**
+   * @param {string} message - Visitor-facing message (Spanish)
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of POEM_ERROR_CODES
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Object} [options.details] - Extra data for the logs (issues, raw output...)
+   * @param {Object} [options.usage] - Tokens already spent when it failed (PoemUsage), recorded all the same
+   */
+  constructor(message, { code = POEM_ERROR_CODES.UPSTREAM, cause, details, usage } = {}) {
+    super(message, { cause });
+    this.name = 'PoemGenerationError';
+    this.code = code;
+    this.details = details || null;
+    this.usage = usage || null;
+  }
+}
+
+export class PoemConfigError extends PoemGenerationError {
+  constructor(hint, options = {}) {
+    super(`Error de configuración: ${hint}.`, { ...options, code: POEM_ERROR_CODES.CONFIG });
+    this.name = 'PoemConfigError';
+  }
+}
+
+export class PoemTimeoutError extends PoemGenerationError {
+  constructor(options = {}) {
+    super('La musa tardó demasiado en responder. Inténtalo de nuevo.', { ...options, code: POEM_ERROR_CODES.TIMEOUT });
+    this.name = 'PoemTimeoutError';
+  }
+}
+
+export class PoemRefusalError extends PoemGenerationError {
+  constructor(options = {}) {
+    super('La musa prefirió guardar silencio ante este trazo. Prueba a escribir otra emoción.', { ...options, code: POEM_ERROR_CODES.REFUSAL });
+    this.name = 'PoemRefusalError';
+  }
+}
+
+export class PoemMalformedError extends PoemGenerationError {
+  constructor(options = {}) {
+    super('La musa se enredó con las palabras. Inténtalo de nuevo.', { ...options, code: POEM_ERROR_CODES.MALFORMED });
+    this.name = 'PoemMalformedError';
+  }
+}
+
+export class PoemUpstreamError extends PoemGenerationError {
+  constructor(options = {}) {
+    super('No pude conectarme con la musa. Inténtalo de nuevo.', { ...options, code: POEM_ERROR_CODES.UPSTREAM });
+    this.name = 'PoemUpstreamError';
+  }
+}
+
+// The visitor cancelled: nothing to show, the canvas comes back
+export class PoemCancelledError extends PoemGenerationError {
+  constructor(options = {}) {
+    super('Poema cancelado.', { ...options, code: POEM_ERROR_CODES.CANCELLED });
+    this.name = 'PoemCancelledError';
+  }
+}
+
+const ERRORS_BY_CODE = {
+  [POEM_ERROR_CODES.TIMEOUT]: PoemTimeoutError,
+  [POEM_ERROR_CODES.REFUSAL]: PoemRefusalError,
+  [POEM_ERROR_CODES.MALFORMED]: PoemMalformedError,
+  [POEM_ERROR_CODES.UPSTREAM]: PoemUpstreamError
+};
+
+/**
+ * Rebuild a typed error from a code (e.g. one reported by the generate-poem edge function)
+ * @param {string} code
+ * @param {Object} [options]
+ * @returns {PoemGenerationError}
+ */
+export function poemErrorFromCode(code, options = {}) {
+  const ErrorClass = ERRORS_BY_CODE[code] || PoemUpstreamError;
+  return new ErrorClass(options);
+}
@@ -0,0 +1,30 @@
+// Small deterministic helpers for the providers that run without a model
+
+/**
+ * Non-cryptographic string hash (same input, same number)
+ * @param {string} [value]
+ * @returns {number}
+ */
+export function hashString(value = '') {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), returns floats in [0, 1)
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
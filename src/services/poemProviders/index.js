@@ -0,0 +1,62 @@
+import openaiProvider from './openai';
+import localProvider from './local';
+import mockProvider from './mock';
+import edgeProvider from './edge';
+import offlineProvider from './offline';
+
+/**
+ * A poem provider turns the canvas (and optional face snapshot) into a poem.
+ * @typedef {Object} PoemProvider
+ * @property {string} id - Registry key, used in VITE_POEM_PROVIDER
+ * @property {string} model - Model identifier reported for this provider (results may override it)
+ * @property {string|null} configHint - Message shown when the provider is not configured
+ * @property {() => boolean} isConfigured - Whether the provider can be used
+ * @property {(input: {canvasBase64: string, faceBase64?: string, form?: string, language?: string, promptTemplate?: {version: number, systemPrompt: string}, model?: string, variant?: number, signal?: AbortSignal, onProgress?: Function}) => Promise<{emotion: string, poem: string, analysis: string, language: string, inputType: string, recognizedText: string|null, model?: string, promptVersion?: number, usage?: Object}>} generatePoem
+ *   When `onProgress` is given the provider streams: it reports the emotion first, then the poem as whole words arrive.
+ *   Providers that prompt a model report the `promptVersion` they used and their token `usage`;
+ *   `model` asks the openai and edge providers for another model (the model chain, or a cheaper one over the daily budget);
+ *   `signal` aborts the pending request when the step times out or the visitor cancels;
+ *   `variant` numbers other versions of the same input, so deterministic providers can write a different poem
+ */
+
+const DEFAULT_PROVIDER_ID = 'openai';
+
+const providers = new Map();
+
+/**
+ * Register a poem provider
+ * @param {PoemProvider} provider
+ */
+export function registerPoemProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a registered poem provider by id
+ * @param {string} id
+ * @returns {PoemProvider|null}
+ */
+export function getPoemProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Get the provider selected through VITE_POEM_PROVIDER (defaults to OpenAI)
+ * @returns {PoemProvider}
+ */
+export function getActivePoemProvider() {
+  const id = import.meta.env.VITE_POEM_PROVIDER || DEFAULT_PROVIDER_ID;
+  const provider = getPoemProvider(id);
+
+  if (!provider) {
+    console.warn(`⚠️ Unknown poem provider "${id}", falling back to "${DEFAULT_PROVIDER_ID}"`);
+    return getPoemProvider(DEFAULT_PROVIDER_ID);
+  }
+  return provider;
+}
+
+registerPoemProvider(openaiProvider);
+registerPoemProvider(localProvider);
+registerPoemProvider(mockProvider);
+registerPoemProvider(edgeProvider);
+registerPoemProvider(offlineProvider);
@@ -0,0 +1,28 @@
+// Poem language: detected from the handwriting ("auto") or fixed by the installation
+
+export const AUTO_LANGUAGE = 'auto';
+// Used when there is no legible text to detect a language from
+export const FALLBACK_LANGUAGE = 'es';
+
+// Names used in the prompt when a language is fixed (ISO 639-1)
+export const LANGUAGE_NAMES = {
+  es: 'español',
+  en: 'inglés',
+  ca: 'catalán',
+  fr: 'francés',
+  it: 'italiano',
+  pt: 'portugués',
+  de: 'alemán',
+  eu: 'euskera',
+  gl: 'gallego'
+};
+
+/**
+ * Normalize a configured language: an ISO 639-1 code or "auto"
+ * @param {string} [value]
+ * @returns {string}
+ */
+export function normalizeLanguage(value) {
+  const code = (value || '').trim().toLowerCase();
+  return /^[a-z]{2}$/.test(code) ? code : AUTO_LANGUAGE;
+}
@@ -0,0 +1,41 @@
+import OpenAI from 'openai';
+import { generateWithChatCompletions } from './chatCompletions';
+
+// OpenAI-compatible local endpoint (Ollama, llama.cpp server, LM Studio...)
+// e.g. Ollama: http://localhost:11434/v1 · llama.cpp: http://localhost:8080/v1
+const baseURL = import.meta.env.VITE_LOCAL_LLM_URL;
+const model = import.meta.env.VITE_LOCAL_LLM_MODEL || 'llava';
+// Local servers usually ignore the key, but the SDK requires one
+const apiKey = import.meta.env.VITE_LOCAL_LLM_API_KEY || 'local';
+
+let localInstance = null;
+
+function getLocalClient() {
+  if (!localInstance && isLocalLLMConfigured()) {
+    localInstance = new OpenAI({
+      apiKey,
+      baseURL,
+      dangerouslyAllowBrowser: true // Required for client-side usage
+    });
+  }
+  return localInstance;
+}
+
+/**
+ * Check if a local OpenAI-compatible endpoint is configured
+ */
+export function isLocalLLMConfigured() {
+  return Boolean(baseURL && baseURL.length > 0);
+}
+
+const localProvider = {
+  id: 'local',
+  model,
+  configHint: 'Configura VITE_LOCAL_LLM_URL en el archivo .env',
+  isConfigured: isLocalLLMConfigured,
+  // Runs on our own hardware: ignores the model chain and the cheaper model requested over the daily budget
+  generatePoem: ({ canvasBase64, faceBase64, form, language, promptTemplate, signal, onProgress }) =>
+    generateWithChatCompletions(getLocalClient(), { model, canvasBase64, faceBase64, form, language, promptTemplate, signal, onProgress })
+};
+
+export default localProvider;
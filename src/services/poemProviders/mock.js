@@ -0,0 +1,116 @@
+import { createPoemProgressReporter } from './streamParser';
+import { hashString } from './hash';
+
+// Deterministic mock provider for development without API credits.
+// The same canvas always yields the same poem.
+
+const MOCK_DELAY_MS = 800;
+// Simulated token stream when progress is requested
+const MOCK_CHUNK_SIZE = 4;
+const MOCK_CHUNK_DELAY_MS = 40;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const MOCK_POEMS = [
+  {
+    emotion: 'calma',
+    analysis: 'Trazos curvos y lentos, mirada serena',
+    inputType: 'abstract',
+    recognizedText: null,
+    poem: 'El lago guarda la luna\nsin prisa, sin orilla\nuna hoja flota quieta\ny el agua aprende a respirar'
+  },
+  {
+    emotion: 'alegría',
+    analysis: 'Palabra escrita con trazo amplio, rostro sonriente',
+    inputType: 'word',
+    recognizedText: 'ALEGRÍA',
+    poem: 'Estalla el girasol\nen mitad del mediodía\nlas abejas se ríen\ndel peso de la luz'
+  },
+  {
+    emotion: 'nostalgia',
+    analysis: 'Dibujo de una casa pequeña, gesto pensativo',
+    inputType: 'drawing',
+    recognizedText: null,
+    poem: 'Musgo en la piedra vieja\nel río recuerda\nlo que el viento olvidó\nbajo la higuera tibia'
+  },
+  {
+    emotion: 'inquietud',
+    analysis: 'Trazos rápidos y cruzados, ceño fruncido',
+    inputType: 'abstract',
+    recognizedText: null,
+    poem: 'Tiembla el junco\nantes de la tormenta\nla raíz sostiene\nlo que el tallo no sabe'
+  }
+];
+
+// One sample per non-default form, so every layout can be tried offline
+const MOCK_FORM_POEMS = {
+  haiku: {
+    emotion: 'asombro',
+    analysis: 'Círculo abierto, cejas alzadas',
+    inputType: 'abstract',
+    recognizedText: null,
+    poem: 'Rocío en la tela\nla araña duerme y brilla\ntodo el amanecer'
+  },
+  tanka: {
+    emotion: 'ternura',
+    analysis: 'Dibujo de un nido, sonrisa leve',
+    inputType: 'drawing',
+    recognizedText: null,
+    poem: 'Nido de ramitas\nguarda el calor de la tarde\nplumón y silencio\nasí te sostengo yo\ncomo el árbol a su pájaro'
+  },
+  decima: {
+    emotion: 'esperanza',
+    analysis: 'Palabra "ESPERA" y mirada alta',
+    inputType: 'word',
+    recognizedText: 'ESPERA',
+    poem: 'Bajo la escarcha dormida\nla semilla no se rinde\nsabe que el sol no prescinde\nde su promesa cumplida\nla tierra guarda la herida\ny la convierte en raíz\nmañana será matiz\nde verde en la piedra fría\nporque toda lejanía\ntermina en una perdiz'
+  },
+  prose: {
+    emotion: 'melancolía',
+    analysis: 'Trazos largos y caídos, mirada baja',
+    inputType: 'abstract',
+    recognizedText: null,
+    poem: 'Llueve sobre el estanque como quien repasa una carta antigua, despacio, sin querer llegar a la firma. Los juncos se inclinan a escuchar y el agua, que todo lo devuelve, dibuja círculos donde antes hubo un nombre.'
+  },
+  acrostic: {
+    emotion: 'paz',
+    analysis: 'Palabra "PAZ" en trazo redondo',
+    inputType: 'word',
+    recognizedText: 'PAZ',
+    poem: 'Pétalos sobre el agua\nAire que no pide nada\nZarzamora madura al sol'
+  }
+};
+
+const mockProvider = {
+  id: 'mock',
+  model: 'mock',
+  configHint: null,
+  isConfigured: () => true,
+  generatePoem: async ({ canvasBase64, form, variant = 0, onProgress }) => {
+    await wait(MOCK_DELAY_MS);
+    // Other versions of the same canvas take the next sample (forms only have one)
+    const entry = MOCK_FORM_POEMS[form] || MOCK_POEMS[(hashString(canvasBase64) + variant) % MOCK_POEMS.length];
+
+    if (onProgress) {
+      // Same key order the real prompt asks for
+      const raw = JSON.stringify({
+        emotion: entry.emotion,
+        language: 'es',
+        poem: entry.poem,
+        analysis: entry.analysis,
+        inputType: entry.inputType,
+        recognizedText: entry.recognizedText || ''
+      });
+      const progress = createPoemProgressReporter(onProgress);
+      for (let i = 0; i < raw.length; i += MOCK_CHUNK_SIZE) {
+        progress.push(raw.slice(i, i + MOCK_CHUNK_SIZE));
+        await wait(MOCK_CHUNK_DELAY_MS);
+      }
+    }
+
+    // Mock poems are only written in Spanish
+    return { ...entry, language: 'es' };
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,92 @@
+import { EMOTION_FAMILIES, MOTIF_DETAILS, TEMPLATES } from './offlineCorpus';
+import { hashString, createSeededRandom } from './hash';
+import { DEFAULT_POEM_FORM } from './forms';
+import { AUTO_LANGUAGE, FALLBACK_LANGUAGE } from './languages';
+
+// Local poem composer: assembles a free-verse (or prose) poem from the Spanish corpus
+// without any network. Used as a provider and as the fallback when a model fails.
+
+export const OFFLINE_MODEL = 'offline-composer';
+
+// The only language of the corpus
+const OFFLINE_LANGUAGE = FALLBACK_LANGUAGE;
+
+// Forms the corpus lines can be arranged into; any other form is written as free verse
+const OFFLINE_FORMS = ['free', 'prose'];
+
+const normalize = (text = '') => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Emotion family whose keyword stems start one of the emotion's words
+function findFamily(emotion) {
+  const words = normalize(emotion).split(/[^a-z]+/).filter(Boolean);
+  return Object.values(EMOTION_FAMILIES)
+    .find(family => family.keywords.some(stem => words.some(word => word.startsWith(stem)))) || null;
+}
+
+/**
+ * Compose a poem from the offline corpus
+ * @param {Object} [options]
+ * @param {string} [options.emotion] - Emotion to write about (a family is picked from the seed when unknown or missing)
+ * @param {string} [options.seed] - Same seed and emotion, same poem (e.g. the canvas image)
+ * @param {string} [options.form] - Requested poetic form id (free verse and prose are honored, anything else becomes free verse)
+ * @param {string} [options.language] - Requested ISO 639-1 code or "auto" (the corpus is Spanish only)
+ * @returns {{emotion: string, poem: string, analysis: string, language: string, inputType: null, recognizedText: null, form: string, model: string}}
+ *   `form` and `language` are the ones the poem was actually written in
+ */
+export function composeOfflinePoem({ emotion, seed = '', form = DEFAULT_POEM_FORM, language = AUTO_LANGUAGE } = {}) {
+  const random = createSeededRandom(hashString(`${seed}|${emotion || ''}`));
+  const family = (emotion && findFamily(emotion)) || pick(random, Object.values(EMOTION_FAMILIES));
+  const motif = pick(random, Object.keys(MOTIF_DETAILS));
+
+  const slots = {
+    opening: () => pick(random, family.openings[motif]),
+    detail: () => pick(random, MOTIF_DETAILS[motif]),
+    turn: () => pick(random, family.turns),
+    closing: () => pick(random, family.closings)
+  };
+  const lines = pick(random, TEMPLATES).map(slot => slots[slot]());
+  lines[0] = lines[0].charAt(0).toUpperCase() + lines[0].slice(1);
+
+  const displayEmotion = emotion?.trim() || family.label;
+  const poemForm = OFFLINE_FORMS.includes(form) ? form : DEFAULT_POEM_FORM;
+  const isLanguageMet = language === AUTO_LANGUAGE || language === OFFLINE_LANGUAGE;
+  if (poemForm !== form || !isLanguageMet) {
+    console.warn(`📴 Offline composer: ${form} (${language}) requested, writing ${poemForm} (${OFFLINE_LANGUAGE})`);
+  }
+
+  return {
+    emotion: displayEmotion,
+    // Prose: the same lines run on as a single paragraph
+    poem: poemForm === 'prose' ? `${lines.join(', ')}.` : lines.join('\n'),
+    analysis: `Compuesto sin conexión a partir de "${displayEmotion}" (${family.label}, motivo: ${motif})`,
+    language: OFFLINE_LANGUAGE,
+    // The canvas was never read
+    inputType: null,
+    recognizedText: null,
+    form: poemForm,
+    model: OFFLINE_MODEL
+  };
+}
+
+/**
+ * Seed for another version of the same input (the first version keeps the input as its seed)
+ * @param {string} seed
+ * @param {number} [variant=0]
+ * @returns {string}
+ */
+export function variantSeed(seed, variant = 0) {
+  return variant ? `${seed}|v${variant}` : seed;
+}
+
+const offlineProvider = {
+  id: 'offline',
+  model: OFFLINE_MODEL,
+  configHint: null,
+  isConfigured: () => true,
+  // Cannot read the canvas: the emotion is picked from the image hash
+  generatePoem: async ({ canvasBase64, variant, form, language }) => composeOfflinePoem({ seed: variantSeed(canvasBase64, variant), form, language })
+};
+
+export default offlineProvider;
@@ -0,0 +1,118 @@
+// Spanish verse fragments for the offline composer.
+// Every line stays within the free-verse limits (6 words), so any template combination validates.
+
+// Emotion families: keyword stems (accent-free, lowercase) to recognize the emotion,
+// opening images per nature motif, and the turn and closing lines of the poem
+export const EMOTION_FAMILIES = {
+  alegria: {
+    label: 'alegría',
+    keywords: ['alegr', 'feliz', 'felic', 'gozo', 'content', 'risa', 'euforia', 'entusias', 'joy', 'happ'],
+    openings: {
+      agua: ['el río se ríe entre piedras', 'salta el agua hacia la luz'],
+      luz: ['estalla el sol en los trigales', 'la mañana abre sus ventanas'],
+      hojas: ['florece el almendro de golpe', 'el girasol gira sin prisa'],
+      viento: ['el viento despeina los trigales', 'vuelan semillas de diente de león']
+    },
+    turns: ['y todo pesa menos', 'la tarde cabe en un latido', 'hay fiesta en cada rama'],
+    closings: ['la luz no pide permiso', 'el mundo amanece otra vez', 'y el día sabe a miel']
+  },
+  tristeza: {
+    label: 'tristeza',
+    keywords: ['trist', 'pena', 'dolor', 'llanto', 'llor', 'melancol', 'desol', 'sad', 'sorrow'],
+    openings: {
+      agua: ['llueve despacio sobre el estanque', 'el río baja sin cantar'],
+      luz: ['la tarde se apaga temprano', 'una lámpara tiembla en la niebla'],
+      hojas: ['cae la última hoja del tilo', 'el sauce inclina su silencio'],
+      viento: ['el viento arrastra hojas húmedas', 'un frío suave cruza el huerto']
+    },
+    turns: ['y nadie recoge la lluvia', 'algo se queda sin nombre', 'el agua aprende a esperar'],
+    closings: ['también la raíz bebe lágrimas', 'mañana brotará el musgo', 'la tierra guarda lo que cae']
+  },
+  miedo: {
+    label: 'miedo',
+    keywords: ['miedo', 'temor', 'ansie', 'angust', 'panico', 'inquiet', 'nervio', 'fear', 'anxi', 'scared'],
+    openings: {
+      agua: ['el agua oscura no tiene fondo', 'crece la marea en la noche'],
+      luz: ['la luna se esconde tras nubes', 'una sombra alarga la tarde'],
+      hojas: ['tiembla el junco en la orilla', 'cruje el bosque sin motivo'],
+      viento: ['el viento golpea las contraventanas', 'se acerca el trueno del monte']
+    },
+    turns: ['y el corazón cuenta los pasos', 'la noche parece más larga', 'todo contiene el aliento'],
+    closings: ['pero la raíz no suelta', 'el alba siempre encuentra camino', 'una luciérnaga basta']
+  },
+  ira: {
+    label: 'ira',
+    keywords: ['ira', 'rabia', 'enfad', 'enojo', 'furia', 'colera', 'odio', 'frustr', 'anger', 'angry', 'rage'],
+    openings: {
+      agua: ['hierve el mar contra las rocas', 'el torrente rompe su cauce'],
+      luz: ['el sol de agosto quema', 'un relámpago parte el cielo'],
+      hojas: ['la zarza muerde la mano', 'arde el rastrojo en el campo'],
+      viento: ['el vendaval sacude los pinos', 'el viento grita en el barranco']
+    },
+    turns: ['y la tierra devuelve el golpe', 'todo el calor busca salida', 'la piedra recuerda el fuego'],
+    closings: ['después llueve sobre la ceniza', 'la tormenta también se cansa', 'y el campo vuelve a respirar']
+  },
+  calma: {
+    label: 'calma',
+    keywords: ['calma', 'paz', 'tranquil', 'seren', 'sosieg', 'quietud', 'relaj', 'calm', 'peace'],
+    openings: {
+      agua: ['el lago guarda la luna', 'una gota tarda en caer'],
+      luz: ['la luz descansa en el umbral', 'atardece sin prisa en el valle'],
+      hojas: ['el musgo cubre la piedra', 'una hoja flota quieta'],
+      viento: ['apenas sopla entre los olivos', 'la brisa peina la hierba']
+    },
+    turns: ['y nada pide ser otra cosa', 'el tiempo se sienta a descansar', 'el silencio tiene raíces'],
+    closings: ['el agua aprende a respirar', 'todo está donde debe estar', 'la tarde se queda contigo']
+  },
+  amor: {
+    label: 'amor',
+    keywords: ['amor', 'ternura', 'carino', 'querer', 'pasion', 'amist', 'love', 'tender'],
+    openings: {
+      agua: ['dos ríos buscan el mismo mar', 'la lluvia besa la tierra'],
+      luz: ['el sol entibia tus manos', 'dos sombras se vuelven una'],
+      hojas: ['la hiedra abraza el muro viejo', 'florece el naranjo en secreto'],
+      viento: ['el viento trae tu nombre', 'el polen viaja hacia ti']
+    },
+    turns: ['y la raíz busca otra raíz', 'todo florece hacia el otro', 'el nido guarda el calor'],
+    closings: ['así te sostengo yo', 'como el árbol a su pájaro', 'el jardín nos reconoce']
+  },
+  asombro: {
+    label: 'asombro',
+    keywords: ['asombro', 'sorpres', 'maravill', 'curios', 'admir', 'wonder', 'surpris', 'awe'],
+    openings: {
+      agua: ['una gota contiene el cielo', 'brilla el rocío en la tela'],
+      luz: ['se enciende la primera estrella', 'el arcoíris cruza el valle'],
+      hojas: ['se abre la flor de noche', 'la semilla rompe la piedra'],
+      viento: ['vuelan mil estorninos a la vez', 'el viento dibuja en la arena']
+    },
+    turns: ['y el mundo parece nuevo', 'nadie sabe de dónde viene', 'los ojos no alcanzan'],
+    closings: ['todo era posible', 'la luz aprende otra forma', 'el día se detiene a mirar']
+  },
+  nostalgia: {
+    label: 'nostalgia',
+    keywords: ['nostalg', 'anor', 'recuerd', 'memori', 'extran', 'ausencia', 'miss'],
+    openings: {
+      agua: ['el río recuerda otra orilla', 'la fuente de la plaza calla'],
+      luz: ['luz de septiembre en la pared', 'una tarde antigua en la ventana'],
+      hojas: ['musgo en la piedra vieja', 'la higuera tibia del patio'],
+      viento: ['el viento trae olor a lluvia', 'cruje la cancela del huerto']
+    },
+    turns: ['lo que el viento olvidó', 'vuelve un verano sin aviso', 'alguien dejó la puerta abierta'],
+    closings: ['la tierra guarda las huellas', 'el jazmín sigue floreciendo', 'y la casa todavía respira']
+  }
+};
+
+// Detail lines shared by every family, per nature motif
+export const MOTIF_DETAILS = {
+  agua: ['el agua devuelve cada gesto', 'círculos lentos en la superficie', 'la orilla bebe despacio'],
+  luz: ['la luz cambia de lugar', 'el polvo dorado flota', 'una sombra se estira'],
+  hojas: ['la savia sube sin ruido', 'cada hoja tiene su pulso', 'el tallo sabe esperar'],
+  viento: ['las ramas hablan entre sí', 'el aire lleva semillas', 'la hierba se inclina y vuelve']
+};
+
+// Line order templates (4 verses each)
+export const TEMPLATES = [
+  ['opening', 'detail', 'turn', 'closing'],
+  ['opening', 'turn', 'detail', 'closing'],
+  ['detail', 'opening', 'turn', 'closing']
+];
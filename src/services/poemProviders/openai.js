@@ -0,0 +1,44 @@
+import OpenAI from 'openai';
+import { generateWithChatCompletions } from './chatCompletions';
+
+// API Key from environment variables
+const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
+const model = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o';
+
+// Lazy-initialized OpenAI client
+let openaiInstance = null;
+
+/**
+ * Get the shared browser OpenAI client (null when not configured)
+ * @returns {OpenAI|null}
+ */
+export function getOpenAIClient() {
+  if (!openaiInstance && isOpenAIConfigured()) {
+    openaiInstance = new OpenAI({
+      apiKey: apiKey,
+      dangerouslyAllowBrowser: true // Required for client-side usage
+    });
+  }
+  return openaiInstance;
+}
+
+/**
+ * Check if the OpenAI API is properly configured
+ */
+export function isOpenAIConfigured() {
+  return apiKey &&
+         apiKey.length > 0 &&
+         apiKey.startsWith('sk-') &&
+         apiKey !== 'your_openai_api_key_here';
+}
+
+const openaiProvider = {
+  id: 'openai',
+  model,
+  configHint: 'Configura VITE_OPENAI_API_KEY en el archivo .env',
+  isConfigured: isOpenAIConfigured,
+  generatePoem: ({ canvasBase64, faceBase64, form, language, promptTemplate, model: requestedModel, signal, onProgress }) =>
+    generateWithChatCompletions(getOpenAIClient(), { model: requestedModel || model, canvasBase64, faceBase64, form, language, promptTemplate, signal, onProgress })
+};
+
+export default openaiProvider;
@@ -0,0 +1,129 @@
+// Shared prompt and response handling for every poem provider
+import { getPoemForm } from './forms';
+import { AUTO_LANGUAGE, FALLBACK_LANGUAGE, LANGUAGE_NAMES } from './languages';
+
+function buildLanguageInstructions(language) {
+  if (language && language !== AUTO_LANGUAGE) {
+    return `IDIOMA: Escribe "emotion", "poem" y "analysis" en ${LANGUAGE_NAMES[language] || language} (código "${language}"), sea cual sea el idioma del lienzo.`;
+  }
+  return `IDIOMA: Detecta el idioma del texto escrito en el lienzo y escribe "emotion", "poem" y "analysis" en ESE idioma (si escribió "joy", responde en inglés; "alegria" sin tilde puede ser catalán). Si no hay texto legible, usa el código "${FALLBACK_LANGUAGE}".`;
+}
+
+// Bundled default template (prompt version 0), used when the database has none.
+// Placeholders: {{language_instructions}}, {{output_format}}, {{form_rules}}
+export const DEFAULT_PROMPT_TEMPLATE = `Eres un poeta experto en naturaleza y psicología humana.
+            Tu objetivo es interpretar la emoción del usuario basándote en dos fuentes:
+            1. CONTENIDO DEL LIENZO: Puede ser una PALABRA escrita o un DIBUJO (garabato, objeto, paisaje).
+            2. EXPRESIÓN FACIAL: La emoción en su rostro (si hay foto).
+
+            INSTRUCCIONES CLAVE DE ANÁLISIS:
+            - Si hay TEXTO LEGIBLE: La emoción del poema debe basarse PRIMORDIALMENTE en el significado de esa palabra.
+            - Si hay un DIBUJO FIGURATIVO (ej: casa, sol, árbol): Interpreta el simbolismo de ese objeto junto con el estilo del trazo.
+            - Si son TRAZOS ABSTRACTOS: Analiza la energía cinética (caos=ansiedad, curvas=calma).
+
+            {{language_instructions}}
+
+            {{output_format}}
+
+            Reglas para el poema:
+            {{form_rules}}
+            - Relaciona la emoción con un detalle de la naturaleza (igual que antes: botánica, luz, agua).
+            - Exalta lo bello y sensorial.
+            - Evita mencionar explícitamente "tu cara", "tu letra" o "tu dibujo".
+            - Sin rimas fáciles ni clichés.
+            `;
+export const DEFAULT_PROMPT_VERSION = 0;
+
+// Vision detail for the canvas and face images (low = fixed token cost per image)
+export const IMAGE_DETAIL = 'low';
+
+const TEMPLATE_PLACEHOLDERS = ['language_instructions', 'output_format', 'form_rules'];
+
+// The JSON contract checked by schema.js: never part of an editable template
+function buildOutputFormat(form) {
+  return `Debes generar una respuesta en formato JSON con SEIS campos, EN ESTE ORDEN:
+            - "emotion": La emoción destilada. Si escribió una emoción, usa esa misma o un sinónimo poético.
+            - "language": Código ISO 639-1 del idioma en que respondes (ej: "es", "en", "ca", "fr").
+            - "poem": ${form.instructions} Inspirado en esa emoción y en el simbolismo detectado. Versos separados por saltos de línea (\\n).
+            - "analysis": Describe explícitamente qué ves en el dibujo Y en la cara. Ej: "Palabra 'IRA' y rostro tenso", "Dibujo de casa y mirada serena". (Conciso).
+            - "inputType": Qué hay en el lienzo: "word" (texto legible), "drawing" (dibujo figurativo) o "abstract" (trazos abstractos).
+            - "recognizedText": El texto que lees en el lienzo, tal cual está escrito. Cadena vacía si no hay texto legible.`;
+}
+
+/**
+ * Fill a prompt template for a form and language
+ * @param {string} template - Template text (see DEFAULT_PROMPT_TEMPLATE)
+ * @param {Object} form - Poetic form
+ * @param {string} language - ISO 639-1 code or "auto"
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, form, language) {
+  const values = {
+    language_instructions: buildLanguageInstructions(language),
+    output_format: buildOutputFormat(form),
+    form_rules: form.rules
+  };
+
+  // A template that leaves a placeholder out still gets it, at the end
+  const complete = TEMPLATE_PLACEHOLDERS
+    .filter(key => !template.includes(`{{${key}}}`))
+    .reduce((text, key) => `${text}\n\n{{${key}}}`, template);
+
+  return complete.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Build the system prompt for a poetic form and language
+ * @param {Object} [form] - Poetic form (defaults to free verse)
+ * @param {string} [language] - ISO 639-1 code, or "auto" to answer in the language of the handwriting
+ * @param {string} [template] - Prompt template (defaults to the bundled one)
+ * @returns {string}
+ */
+export function buildPoemSystemPrompt(form = getPoemForm(), language = AUTO_LANGUAGE, template = DEFAULT_PROMPT_TEMPLATE) {
+  return renderPromptTemplate(template, form, language);
+}
+
+/**
+ * Build the chat messages for a multimodal poem request
+ * @param {string} canvasBase64 - Base64 image of the canvas
+ * @param {string} [faceBase64] - Base64 image of the user's face
+ * @param {Object} [form] - Poetic form (defaults to free verse)
+ * @param {string} [language] - ISO 639-1 code or "auto"
+ * @param {string} [template] - Prompt template (defaults to the bundled one)
+ * @returns {Array<Object>} - OpenAI-style chat messages
+ */
+export function buildPoemMessages(canvasBase64, faceBase64, form, language, template) {
+  const messages = [
+    {
+      role: "system",
+      content: buildPoemSystemPrompt(form, language, template)
+    },
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "Analiza mi estado y crea un poema." },
+        { type: "image_url", image_url: { url: canvasBase64, detail: IMAGE_DETAIL } }
+      ]
+    }
+  ];
+
+  if (faceBase64) {
+    messages[1].content.push({
+      type: "image_url",
+      image_url: { url: faceBase64, detail: IMAGE_DETAIL }
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Build the follow-up message asking the model to fix an invalid answer
+ * @param {string[]} issues - Validation problems found in the previous answer
+ * @returns {string}
+ */
+export function buildRepairMessage(issues) {
+  return `Tu respuesta anterior no cumple el formato pedido:
+${issues.map(issue => `- ${issue}`).join('\n')}
+Corrígela y devuelve SOLO el objeto JSON con "emotion", "language", "poem", "analysis", "inputType" y "recognizedText", en ese orden.`;
+}
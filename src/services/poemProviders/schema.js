@@ -0,0 +1,116 @@
+// Strict validation of the model output: {emotion, language, poem, analysis, inputType, recognizedText}
+import { getPoemForm } from './forms';
+import { AUTO_LANGUAGE } from './languages';
+
+// What the model saw on the canvas (stored in poems.input_type)
+export const INPUT_TYPES = ['word', 'drawing', 'abstract'];
+const MAX_RECOGNIZED_TEXT_LENGTH = 100;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Validate a parsed model result against the poem schema
+ * @param {*} raw - Parsed JSON from the model
+ * @param {Object} [options]
+ * @param {Object} [options.form] - Poetic form whose limits apply (defaults to free verse)
+ * @param {string} [options.language] - Expected ISO 639-1 code, or "auto" to accept any
+ * @returns {{value: {analysis: string, emotion: string, poem: string, language: string, inputType: string, recognizedText: string|null}|null, issues: string[]}}
+ */
+export function validatePoemResult(raw, { form = getPoemForm(), language: expectedLanguage = AUTO_LANGUAGE } = {}) {
+  const { limits } = form;
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, issues: ['La respuesta debe ser un objeto JSON con "emotion", "language", "poem", "analysis", "inputType" y "recognizedText".'] };
+  }
+
+  const issues = [];
+
+  const analysis = typeof raw.analysis === 'string' ? raw.analysis.trim() : '';
+  if (!analysis) {
+    issues.push('"analysis" debe ser un texto no vacío.');
+  } else if (analysis.length > limits.maxAnalysisLength) {
+    issues.push(`"analysis" debe tener como máximo ${limits.maxAnalysisLength} caracteres.`);
+  }
+
+  const emotion = typeof raw.emotion === 'string' ? raw.emotion.trim() : '';
+  if (!emotion) {
+    issues.push('"emotion" debe ser un texto no vacío.');
+  } else if (countWords(emotion) > limits.maxEmotionWords) {
+    issues.push(`"emotion" debe tener como máximo ${limits.maxEmotionWords} palabras.`);
+  }
+
+  const language = typeof raw.language === 'string' ? raw.language.trim().toLowerCase() : '';
+  if (!/^[a-z]{2}$/.test(language)) {
+    issues.push('"language" debe ser un código ISO 639-1 de dos letras (ej: "es").');
+  } else if (expectedLanguage !== AUTO_LANGUAGE && language !== expectedLanguage) {
+    issues.push(`Debes responder en el idioma "${expectedLanguage}", no en "${language}".`);
+  }
+
+  const inputType = raw.inputType;
+  if (!INPUT_TYPES.includes(inputType)) {
+    issues.push(`"inputType" debe ser uno de: ${INPUT_TYPES.map(type => `"${type}"`).join(', ')}.`);
+  }
+
+  const recognizedText = typeof raw.recognizedText === 'string' ? raw.recognizedText.trim() : '';
+  if (raw.recognizedText !== undefined && raw.recognizedText !== null && typeof raw.recognizedText !== 'string') {
+    issues.push('"recognizedText" debe ser un texto (vacío si no hay texto legible).');
+  } else if (recognizedText.length > MAX_RECOGNIZED_TEXT_LENGTH) {
+    issues.push(`"recognizedText" debe tener como máximo ${MAX_RECOGNIZED_TEXT_LENGTH} caracteres.`);
+  } else if (inputType === 'word' && !recognizedText) {
+    issues.push('Con "inputType": "word", "recognizedText" debe contener el texto leído.');
+  }
+
+  const lines = typeof raw.poem === 'string'
+    ? raw.poem.split('\n').map(line => line.trim()).filter(Boolean)
+    : [];
+  if (lines.length === 0) {
+    issues.push('"poem" debe ser un texto con los versos separados por saltos de línea (\\n).');
+  } else {
+    if (lines.length < limits.minLines || lines.length > limits.maxLines) {
+      issues.push(`"poem" debe tener entre ${limits.minLines} y ${limits.maxLines} versos (tiene ${lines.length}).`);
+    }
+    lines.forEach((line, index) => {
+      const words = countWords(line);
+      if (words > limits.maxWordsPerLine) {
+        issues.push(`El verso ${index + 1} tiene ${words} palabras (máximo ${limits.maxWordsPerLine}).`);
+      }
+    });
+  }
+
+  if (issues.length === 0 && form.check) {
+    issues.push(...form.check(lines, emotion));
+  }
+
+  if (issues.length > 0) {
+    return { value: null, issues };
+  }
+
+  return {
+    value: { analysis, emotion, language, poem: lines.join('\n'), inputType, recognizedText: recognizedText || null },
+    issues
+  };
+}
+
+/**
+ * Parse and validate the raw text content of a completion
+ * @param {string|null} content - Message content returned by the model
+ * @param {Object} [options]
+ * @param {string} [options.finishReason] - Completion finish_reason
+ * @param {Object} [options.form] - Poetic form whose limits apply
+ * @param {string} [options.language] - Expected ISO 639-1 code, or "auto"
+ * @returns {{value: Object|null, issues: string[]}}
+ */
+export function parsePoemContent(content, { finishReason, form, language } = {}) {
+  if (finishReason === 'length') {
+    return { value: null, issues: ['La respuesta se cortó antes de terminar: sé más breve.'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { value: null, issues: ['La respuesta no es JSON válido.'] };
+  }
+
+  return validatePoemResult(parsed, { form, language });
+}
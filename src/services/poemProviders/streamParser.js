@@ -0,0 +1,85 @@
+// Incremental reader for the streamed JSON answer {"emotion": "...", "language": "..", "poem": "...", "analysis": "..."}.
+// The prompt asks for the emotion first, so it can be shown before the poem lines arrive.
+
+const ESCAPES = { n: '\n', t: '\t', r: '', b: '', f: '', '"': '"', '\\': '\\', '/': '/' };
+
+// Read a JSON string value that may still be open at the end of the buffer
+function readStringField(buffer, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+
+  let value = '';
+  for (let i = match.index + match[0].length; i < buffer.length; i++) {
+    const char = buffer[i];
+
+    if (char === '"') return { value, complete: true };
+
+    if (char === '\\') {
+      const next = buffer[i + 1];
+      if (next === undefined) break; // Escape split across chunks
+
+      if (next === 'u') {
+        const hex = buffer.slice(i + 2, i + 6);
+        if (hex.length < 4) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+      } else {
+        value += ESCAPES[next] ?? next;
+        i += 1;
+      }
+      continue;
+    }
+
+    value += char;
+  }
+
+  return { value, complete: false };
+}
+
+/**
+ * Extract what is already readable from a partial JSON answer
+ * @param {string} buffer - Raw content streamed so far
+ * @returns {{emotion: string|null, poem: string}} - Emotion once complete, poem cut at the last whole word
+ */
+export function parsePartialPoem(buffer) {
+  const emotion = readStringField(buffer, 'emotion');
+  const poem = readStringField(buffer, 'poem');
+
+  let poemText = '';
+  if (poem) {
+    poemText = poem.complete
+      ? poem.value
+      : poem.value.slice(0, Math.max(poem.value.search(/\s\S*$/), 0));
+  }
+
+  return {
+    emotion: emotion?.complete ? emotion.value.trim() : null,
+    poem: poemText.trim()
+  };
+}
+
+/**
+ * Feed streamed deltas and get notified only when a new emotion or a new whole word is readable
+ * @param {(progress: {emotion: string|null, poem: string}) => void} [onProgress]
+ * @returns {{push: (delta: string) => void, reset: () => void}}
+ */
+export function createPoemProgressReporter(onProgress) {
+  let buffer = '';
+  let last = { emotion: null, poem: '' };
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const next = parsePartialPoem(buffer);
+      if (next.emotion !== last.emotion || next.poem !== last.poem) {
+        last = next;
+        if (onProgress) onProgress(next);
+      }
+    },
+    // A repair attempt starts a brand new answer
+    reset() {
+      buffer = '';
+      last = { emotion: null, poem: '' };
+    }
+  };
+}
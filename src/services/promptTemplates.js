@@ -0,0 +1,82 @@
+import { getSupabase, getAppId } from './supabase';
+import { DEFAULT_PROMPT_TEMPLATE, DEFAULT_PROMPT_VERSION } from './poemProviders/prompt';
+
+// Pin one template version for this installation (e.g. one per exhibition in an A/B test).
+// Unset: the app's active template. 0: the bundled prompt.
+const PINNED_VERSION = parsePinnedVersion(import.meta.env.VITE_PROMPT_VERSION);
+// Templates are edited from the SQL editor: pick up changes without a reload
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * The prompt shipped with the code (version 0)
+ * @type {{version: number, name: string, systemPrompt: string}}
+ */
+export const BUNDLED_PROMPT_TEMPLATE = {
+  version: DEFAULT_PROMPT_VERSION,
+  name: 'bundled',
+  systemPrompt: DEFAULT_PROMPT_TEMPLATE
+};
+
+let cachedTemplate = null;
+let cachedAt = 0;
+
+function parsePinnedVersion(value) {
+  if (value === undefined || value === '') return null;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    console.warn(`⚠️ Invalid VITE_PROMPT_VERSION "${value}", using the active template`);
+    return null;
+  }
+  return version;
+}
+
+async function fetchPromptTemplate() {
+  if (PINNED_VERSION === DEFAULT_PROMPT_VERSION) return BUNDLED_PROMPT_TEMPLATE;
+
+  const supabase = getSupabase();
+  if (!supabase) return BUNDLED_PROMPT_TEMPLATE;
+
+  try {
+    const currentAppId = await getAppId();
+    if (!currentAppId) return BUNDLED_PROMPT_TEMPLATE;
+
+    let query = supabase
+      .from('prompt_templates')
+      .select('version, name, system_prompt')
+      .eq('app_id', currentAppId);
+    query = PINNED_VERSION === null
+      ? query.eq('is_active', true)
+      : query.eq('version', PINNED_VERSION);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      if (PINNED_VERSION !== null) {
+        console.warn(`⚠️ Prompt template v${PINNED_VERSION} not found, using the bundled prompt`);
+      }
+      return BUNDLED_PROMPT_TEMPLATE;
+    }
+
+    return { version: data.version, name: data.name, systemPrompt: data.system_prompt };
+  } catch (error) {
+    console.warn('⚠️ Could not load the prompt template, using the bundled prompt:', error);
+    return BUNDLED_PROMPT_TEMPLATE;
+  }
+}
+
+/**
+ * Get the prompt template to write poems with: the pinned version (VITE_PROMPT_VERSION),
+ * else the app's active one, else the bundled prompt. Never throws.
+ * @returns {Promise<{version: number, name: string, systemPrompt: string}>}
+ */
+export async function getActivePromptTemplate() {
+  if (cachedTemplate && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedTemplate;
+  }
+
+  cachedTemplate = await fetchPromptTemplate();
+  cachedAt = Date.now();
+  console.log(`🧾 Using prompt template v${cachedTemplate.version} (${cachedTemplate.name})`);
+  return cachedTemplate;
+}
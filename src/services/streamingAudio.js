@@ -0,0 +1,67 @@
+// Progressive playback of a narration that is still being synthesized: MP3 chunks are
+// appended to a MediaSource as they arrive, so the <audio> element starts before the
+// whole file exists. iOS (no MediaSource on iPhone) plays the finished file instead.
+
+const STREAM_MIME_TYPE = 'audio/mpeg';
+
+/**
+ * Whether this browser can play MP3 while it is still arriving
+ */
+export function isStreamingPlaybackSupported() {
+  return typeof window !== 'undefined'
+    && 'MediaSource' in window
+    && window.MediaSource.isTypeSupported(STREAM_MIME_TYPE);
+}
+
+/**
+ * Create a MediaSource fed chunk by chunk
+ * @returns {{url: string, append: (bytes: Uint8Array) => void, end: () => void, abort: () => void}}
+ *   `url` goes in the <audio> src (revoke it with cleanupAudioUrl); `end` marks the audio complete
+ *   once every appended chunk is buffered; `abort` drops whatever is left to append
+ */
+export function createStreamingAudio() {
+  const mediaSource = new MediaSource();
+  const url = URL.createObjectURL(mediaSource);
+  const queue = [];
+  let sourceBuffer = null;
+  let isEnding = false;
+  let isAborted = false;
+
+  // One append at a time: the SourceBuffer rejects appends while updating
+  const flush = () => {
+    if (!sourceBuffer || sourceBuffer.updating || isAborted) return;
+    if (queue.length > 0) {
+      try {
+        sourceBuffer.appendBuffer(queue.shift());
+      } catch (error) {
+        console.error('Error appending streamed audio:', error);
+        isAborted = true;
+      }
+      return;
+    }
+    if (isEnding && mediaSource.readyState === 'open') mediaSource.endOfStream();
+  };
+
+  mediaSource.addEventListener('sourceopen', () => {
+    sourceBuffer = mediaSource.addSourceBuffer(STREAM_MIME_TYPE);
+    sourceBuffer.addEventListener('updateend', flush);
+    flush();
+  }, { once: true });
+
+  return {
+    url,
+    append(bytes) {
+      if (isEnding || isAborted) return;
+      queue.push(bytes);
+      flush();
+    },
+    end() {
+      isEnding = true;
+      flush();
+    },
+    abort() {
+      isAborted = true;
+      queue.length = 0;
+    }
+  };
+}
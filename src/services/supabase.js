@@ -5,7 +5,25 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
 // App identifier for this application
-const APP_SLUG = 'guestbook';
+export const APP_SLUG = 'guestbook';
+
+// Review status of a poem (poems.status). The database sets it on save: hidden when the
+// automatic check flagged the poem, pending when the app pre-moderates, approved otherwise
+export const POEM_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden',
+  FEATURED: 'featured'
+};
+// Statuses anyone can see (the RLS policy on poems lets anon read only these)
+export const PUBLIC_POEM_STATUSES = [POEM_STATUSES.APPROVED, POEM_STATUSES.FEATURED];
+
+// apps.moderation_mode: publish what passes the automatic check, or wait for an admin
+export const MODERATION_MODES = {
+  AUTO: 'auto',
+  PRE: 'pre'
+};
+const MODERATION_MODE_STORAGE_KEY = 'guestbook-moderation-mode';
 
 // Create a lazy-initialized client
 let supabaseInstance = null;
@@ -21,7 +39,7 @@ export function getSupabase() {
 /**
  * Get the app ID for this application
  */
-async function getAppId() {
+export async function getAppId() {
   if (appId) return appId;
   
   const supabase = getSupabase();
@@ -44,6 +62,35 @@ async function getAppId() {
   }
 }
 
+/**
+ * Moderation mode of this app (apps.moderation_mode). The last one read is kept in
+ * localStorage, so an installation that starts offline does not skip pre-moderation
+ * @returns {Promise<string>} - One of MODERATION_MODES
+ */
+export async function getModerationMode() {
+  const stored = localStorage.getItem(MODERATION_MODE_STORAGE_KEY);
+  const lastKnown = Object.values(MODERATION_MODES).includes(stored) ? stored : MODERATION_MODES.AUTO;
+  const supabase = getSupabase();
+  if (!supabase) return lastKnown;
+  
+  try {
+    const { data, error } = await supabase
+      .from('apps')
+      .select('moderation_mode')
+      .eq('slug', APP_SLUG)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    const mode = data?.moderation_mode === MODERATION_MODES.PRE ? MODERATION_MODES.PRE : MODERATION_MODES.AUTO;
+    localStorage.setItem(MODERATION_MODE_STORAGE_KEY, mode);
+    return mode;
+  } catch (error) {
+    console.warn('Could not fetch the moderation mode, using the last known one:', error);
+    return lastKnown;
+  }
+}
+
 /**
  * Check if Supabase is properly configured
  */
@@ -56,16 +103,79 @@ export function isSupabaseConfigured() {
 }
 
 /**
- * Save a generated poem to the database
+ * A write Supabase refused for good (a constraint, a permission, an RPC exception): sending it again
+ * cannot succeed, so the outbox drops it instead of retrying. Other write errors return null/false
+ */
+export class WriteRejectedError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'WriteRejectedError';
+  }
+}
+
+// No answer (status 0), timeouts, rate limits and server errors may get through on a later try
+const isRetryableStatus = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+// The error as it is when retrying may help, a WriteRejectedError otherwise
+function classifyWriteError(error, status = error?.status ?? error?.statusCode) {
+  if (isRetryableStatus(Number(status))) return error;
+  return new WriteRejectedError(error.message || String(error), { cause: error });
+}
+
+/**
+ * Row of the poems table for a poem (app_id is resolved when it is saved)
  * @param {Object} data - Poem data
+ * @param {string} [data.id] - Poem id created client-side (see createRecordId in outbox.js); the database picks one when missing
  * @param {string} data.emotion - The emotion/word that inspired the poem
  * @param {string} data.poem - The generated poem
  * @param {string} [data.illustration] - Background image URL
  * @param {string} [data.audioUrl] - Audio narration URL
  * @param {string} [data.sessionId] - Optional session ID for tracking
+ * @param {string} [data.model] - AI model that wrote the poem
+ * @param {string} [data.form] - Poetic form (free, haiku, tanka, decima, prose, acrostic)
+ * @param {string} [data.language] - ISO 639-1 code of the language the poem was written in
+ * @param {string} [data.analysis] - The model's description of the canvas and face
+ * @param {string} [data.recognizedText] - Text read from the canvas, if any
+ * @param {string} [data.inputType] - What was on the canvas: word, drawing or abstract
+ * @param {number} [data.promptVersion] - Prompt template version that wrote the poem (0 = bundled prompt)
+ * @param {string} [data.parentPoemId] - First poem of the same canvas, when this is another version of it
+ * @param {boolean} [data.isPublished] - Whether it shows in listings (false for versions the visitor has not picked)
+ * @param {{flagged: boolean, categories: string[]}} [data.moderation] - Moderation verdict; flagged poems are kept out of public listings
+ * @returns {Object}
+ */
+export function toPoemRow({ id = null, emotion, poem, illustration = null, audioUrl = null, sessionId = null, model = 'gpt-4o', form = 'free', language = 'es', analysis = null, recognizedText = null, inputType = null, promptVersion = null, parentPoemId = null, isPublished = true, moderation = null }) {
+  return {
+    // Only when known: a missing id takes the column default
+    ...(id && { id }),
+    emotion: emotion.toLowerCase().trim(),
+    poem: poem,
+    image_url: illustration,
+    audio_url: audioUrl,
+    session_id: sessionId,
+    language: language,
+    ai_model: model,
+    form: form,
+    analysis: analysis,
+    recognized_text: recognizedText,
+    input_type: inputType,
+    prompt_version: promptVersion,
+    parent_poem_id: parentPoemId,
+    is_published: isPublished,
+    moderation_flagged: Boolean(moderation?.flagged),
+    moderation_categories: moderation?.categories || []
+  };
+}
+
+/**
+ * Save a generated poem to the database
+ * @param {Object} data - Poem data (see toPoemRow); give it an id, the row is not read back
+ *   (under pre-moderation a new poem is pending, out of anon's reach)
+ * @param {string} [data.editToken] - Secret kept by the client to link the audio and publish the
+ *   version later (the database stores its hash, see hash_edit_token in supabase_schema.sql)
  * @returns {Promise<Object>} - The saved record
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
  */
-export async function savePoem({ emotion, poem, illustration = null, audioUrl = null, sessionId = null, model = 'gpt-4o' }) {
+export async function savePoem(data) {
   const supabase = getSupabase();
   
   if (!supabase) {
@@ -74,37 +184,32 @@ export async function savePoem({ emotion, poem, illustration = null, audioUrl =
   }
   
   try {
-    console.log('💾 Saving poem to Supabase...', { emotion, illustration, audioUrl });
+    console.log('💾 Saving poem to Supabase...', { emotion: data.emotion, illustration: data.illustration, audioUrl: data.audioUrl });
     
     // Get app ID for ecosystem tracking
     const currentAppId = await getAppId();
+    const row = { ...toPoemRow(data), app_id: currentAppId, edit_token: data.editToken || null };
     
-    const { data, error } = await supabase
+    const { error, status } = await supabase
       .from('poems')
-      .insert([
-        { 
-          emotion: emotion.toLowerCase().trim(),
-          poem: poem,
-          image_url: illustration,
-          audio_url: audioUrl,
-          app_id: currentAppId,
-          session_id: sessionId,
-          language: 'es',
-          ai_model: model
-        }
-      ])
-      .select()
-      .single();
+      .insert([row]);
     
+    // Same client-side id: an earlier attempt was saved but its answer got lost
+    if (error?.code === '23505' && data.id) {
+      console.log('✅ Poem already saved:', data.id);
+      return row;
+    }
     if (error) {
       console.error('❌ Supabase Error:', error);
-      throw error;
+      throw classifyWriteError(error, status);
     }
     
-    console.log('✅ Poem saved:', data);
-    return data;
+    console.log('✅ Poem saved:', row.id);
+    return row;
   } catch (error) {
     console.error('❌ Error saving poem:', error);
+    // The outbox drops what can never be saved; other errors are retried
+    if (error instanceof WriteRejectedError) throw error;
     // Don't throw - saving is not critical for the user experience
     return null;
   }
@@ -126,43 +231,91 @@ export async function getRecentPoems(limit = 10) {
  * @returns {Promise<Array>} - List of poems
  */
 export async function getAllPoems({ limit = 50, appSlug = null } = {}) {
+  const { poems } = await queryPoems({ limit, appSlug });
+  return poems;
+}
+
+export const POEM_SORTS = ['newest', 'oldest', 'random'];
+export const MAX_POEMS_PAGE_SIZE = 100;
+
+// Cursors are opaque to callers: base64url of [sort, seed, created_at, id] of the last poem of a page.
+// created_at keeps the database's own text (microseconds), which a Date would round
+const encodePoemsCursor = (sort, seed, poem) => btoa(JSON.stringify([sort, seed, poem.created_at, poem.id]))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+function decodePoemsCursor(cursor) {
+  try {
+    const [sort, seed, createdAt, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return POEM_SORTS.includes(sort) && id ? { sort, seed, createdAt, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+const randomSeed = () => Math.random().toString(36).slice(2, 10);
+
+/**
+ * Query published poems a page at a time (keyset pagination, see list_poems in supabase_schema.sql).
+ * The get-poems edge function exposes the same contract.
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Poems per page (1-100)
+ * @param {string} [options.cursor] - nextCursor of the previous page; it keeps that page's sort and seed
+ *   (pass the same filters again)
+ * @param {'newest'|'oldest'|'random'} [options.sort='newest']
+ * @param {string} [options.seed] - Shuffle of the random sort (a new one when missing)
+ * @param {string} [options.emotion] - Emotion containing this text
+ * @param {string} [options.from] - Created at or after this date (ISO 8601)
+ * @param {string} [options.to] - Created before this date (ISO 8601)
+ * @param {string} [options.appSlug] - Only poems of this app
+ * @param {boolean} [options.hasAudio] - Only poems with (true) or without (false) narration
+ * @param {boolean} [options.hasImage] - Only poems with (true) or without (false) canvas image
+ * @param {boolean} [options.featured] - Only featured (true) or only not featured (false) poems
+ * @returns {Promise<{poems: Array, nextCursor: string|null}>} - nextCursor is null on the last page
+ */
+export async function queryPoems({ limit = 20, cursor = null, sort = 'newest', seed = null, emotion = null, from = null, to = null, appSlug = null, hasAudio = null, hasImage = null, featured = null } = {}) {
   const supabase = getSupabase();
   
   if (!supabase) {
-    return [];
+    return { poems: [], nextCursor: null };
   }
   
   try {
-    let query = supabase
-      .from('poems')
+    const after = cursor ? decodePoemsCursor(cursor) : null;
+    if (cursor && !after) throw new Error(`Invalid poems cursor: ${cursor}`);
+    const pageSort = after?.sort || (POEM_SORTS.includes(sort) ? sort : 'newest');
+    const pageSeed = after?.seed || (pageSort === 'random' ? seed || randomSeed() : null);
+    const pageSize = Math.min(Math.max(limit, 1), MAX_POEMS_PAGE_SIZE);
+
+    const { data, error } = await supabase
+      .rpc('list_poems', {
+        page_size: pageSize,
+        sort: pageSort,
+        seed: pageSeed,
+        cursor_created_at: after?.createdAt || null,
+        cursor_id: after?.id || null,
+        app_slug: appSlug,
+        emotion_filter: emotion || null,
+        created_from: from,
+        created_to: to,
+        has_audio: hasAudio,
+        has_image: hasImage,
+        featured
+      })
       .select(`
         *,
         apps:app_id (slug, name)
-      `)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-    
-    // Filter by app if specified
-    if (appSlug) {
-      const { data: app } = await supabase
-        .from('apps')
-        .select('id')
-        .eq('slug', appSlug)
-        .single();
-      
-      if (app) {
-        query = query.eq('app_id', app.id);
-      }
-    }
-    
-    const { data, error } = await query;
+      `);
     
     if (error) throw error;
     
-    return data || [];
+    const poems = data || [];
+    return {
+      poems,
+      nextCursor: poems.length === pageSize ? encodePoemsCursor(pageSort, pageSeed, poems[poems.length - 1]) : null
+    };
   } catch (error) {
     console.error('❌ Error fetching poems:', error);
-    return [];
+    return { poems: [], nextCursor: null };
   }
 }
 
@@ -186,6 +339,8 @@ export async function getPoemsByEmotion(emotion) {
         apps:app_id (slug, name)
       `)
       .ilike('emotion', `%${emotion}%`)
+      .in('status', PUBLIC_POEM_STATUSES)
+      .eq('is_published', true)
       .order('created_at', { ascending: false });
     
     if (error) throw error;
@@ -197,6 +352,50 @@ export async function getPoemsByEmotion(emotion) {
   }
 }
 
+// search_poems wraps the matches of a snippet in [[ ]]: split it into plain and matched parts
+const parseSnippet = (snippet = '') => snippet
+  .replace(/\s+/g, ' ')
+  .trim()
+  .split(/\[\[(.*?)\]\]/)
+  .map((text, i) => ({ text, isMatch: i % 2 === 1 }))
+  .filter(part => part.text);
+
+/**
+ * Full-text search over published poems (emotion, poem text and analysis; Spanish, accent-insensitive)
+ * @param {string} query - Words to look for; "exact phrase", OR and -word work as in a web search
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Max number of results (1-50)
+ * @param {string} [options.appSlug] - Only poems of this app
+ * @returns {Promise<Array>} - Poems, best match first, each with `search_rank` and
+ *   `search_snippet` (parts of the poem: [{ text, isMatch }])
+ */
+export async function searchPoems(query, { limit = 20, appSlug = null } = {}) {
+  const supabase = getSupabase();
+  
+  if (!supabase || !query?.trim()) {
+    return [];
+  }
+  
+  try {
+    const { data, error } = await supabase.rpc('search_poems', {
+      search_query: query.trim(),
+      page_size: limit,
+      app_slug: appSlug
+    });
+    
+    if (error) throw error;
+    
+    return (data || []).map(result => ({
+      ...result.poem,
+      search_rank: result.rank,
+      search_snippet: parseSnippet(result.snippet)
+    }));
+  } catch (error) {
+    console.error('❌ Error searching poems:', error);
+    return [];
+  }
+}
+
 /**
  * Get poem statistics (uses the poem_stats view)
  * @returns {Promise<Array>} - Statistics by emotion
@@ -223,6 +422,128 @@ export async function getPoemStats() {
   }
 }
 
+/**
+ * Get poem statistics by canonical emotion (uses the canonical_emotion_stats view).
+ * Groups labels like "tristeza", "triste" and "melancolía" under Plutchik's primary emotions.
+ * @returns {Promise<Array>} - One row per primary emotion, with counts per intensity and valence
+ */
+export async function getCanonicalEmotionStats() {
+  const supabase = getSupabase();
+  
+  if (!supabase) {
+    return [];
+  }
+  
+  try {
+    const { data, error } = await supabase
+      .from('canonical_emotion_stats')
+      .select('*');
+    
+    if (error) throw error;
+    
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error fetching canonical emotion stats:', error);
+    return [];
+  }
+}
+
+/**
+ * Record the usage and estimated cost of a paid API call
+ * @param {Object} data - Usage data
+ * @param {string} data.kind - "poem" (chat completion) or "speech" (TTS)
+ * @param {string} data.model - Model id that was billed
+ * @param {string} [data.poemId] - Poem the call was made for (dropped when that poem was never saved)
+ * @param {number} [data.promptTokens] - Input tokens, images included
+ * @param {number} [data.completionTokens] - Output tokens
+ * @param {number} [data.totalTokens] - Input + output tokens
+ * @param {number} [data.requests] - Completions requested (every model tried, repairs included)
+ * @param {string} [data.imageDetail] - Vision detail level of the images
+ * @param {number} [data.imageCount] - Images sent
+ * @param {number} [data.ttsCharacters] - Characters sent to text-to-speech
+ * @param {number|null} [data.estimatedCost] - Estimated cost in USD (null when the model has no known price)
+ * @param {string} [data.id] - Record id created client-side (see createRecordId in outbox.js); the database picks one when missing
+ * @returns {Promise<Object|null>} - The record as saved
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
+ */
+export async function saveUsage({ id, kind, model, poemId = null, promptTokens = null, completionTokens = null, totalTokens = null, requests = 1, imageDetail = null, imageCount = null, ttsCharacters = null, estimatedCost = null }) {
+  const supabase = getSupabase();
+  
+  if (!supabase) {
+    return null;
+  }
+  
+  try {
+    const currentAppId = await getAppId();
+    
+    const row = {
+      ...(id && { id }),
+      poem_id: poemId,
+      app_id: currentAppId,
+      kind,
+      model,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens,
+      request_count: requests,
+      image_detail: imageDetail,
+      image_count: imageCount,
+      tts_characters: ttsCharacters,
+      estimated_cost_usd: estimatedCost
+    };
+    
+    const insertRow = () => supabase.from('generation_usage').insert([row]);
+    let { error, status } = await insertRow();
+    
+    // The poem never made it to the database: keep the tokens without the link
+    if (error?.code === '23503' && row.poem_id) {
+      console.warn('⚠️ Usage recorded without its poem, which was not saved:', row.poem_id);
+      row.poem_id = null;
+      ({ error, status } = await insertRow());
+    }
+    // Same client-side id: an earlier attempt was saved but its answer got lost
+    if (error?.code === '23505' && id) {
+      console.log('✅ Usage already saved:', id);
+      return row;
+    }
+    if (error) throw classifyWriteError(error, status);
+    
+    return row;
+  } catch (error) {
+    console.error('❌ Error saving usage:', error);
+    if (error instanceof WriteRejectedError) throw error;
+    return null;
+  }
+}
+
+/**
+ * Get today's estimated spend for this app (uses the daily_usage_costs view, UTC days)
+ * @returns {Promise<number|null>} - Cost in USD, or null when it cannot be read
+ */
+export async function getTodayUsageCost() {
+  const supabase = getSupabase();
+  
+  if (!supabase) {
+    return null;
+  }
+  
+  try {
+    const { data, error } = await supabase
+      .from('daily_usage_costs')
+      .select('total_cost_usd')
+      .eq('app', APP_SLUG)
+      .eq('date', new Date().toISOString().slice(0, 10))
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    return Number(data?.total_cost_usd || 0);
+  } catch (error) {
+    console.error('❌ Error fetching today\'s usage cost:', error);
+    return null;
+  }
+}
+
 /**
  * Create or get a session for tracking
  * @param {Object} [deviceInfo] - Optional device information
@@ -261,20 +582,38 @@ export async function createSession(deviceInfo = {}) {
 
 
 
+// File name of a canvas input: by poem when its id is known, so a retry lands on the same file
+function inputImageFilename(emotion, poemId) {
+  const safeName = (emotion || 'input').trim().toLowerCase().replace(/[^a-z0-9]/g, '-');
+  return `input-${poemId || Date.now()}-${safeName}.png`;
+}
+
+/**
+ * Public URL the input image of a poem has once uploaded (see uploadPoemInputImage)
+ * @param {string} emotion - Emotion for filename
+ * @param {string} poemId - Poem the canvas belongs to
+ * @returns {string|null}
+ */
+export function getPoemInputImageUrl(emotion, poemId) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+  return supabase.storage.from('illustrations').getPublicUrl(inputImageFilename(emotion, poemId)).data.publicUrl;
+}
+
 /**
  * Upload a poem input image (DataURL) to Supabase Storage
  * @param {string} dataUrl - Data URL string (data:image/png;base64,...)
  * @param {string} emotion - Emotion for filename
+ * @param {string} [poemId] - Poem the canvas belongs to: the file is named after it and uploading it again is harmless
  * @returns {Promise<string|null>} - Permanent Public URL
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
  */
-export async function uploadPoemInputImage(dataUrl, emotion) {
+export async function uploadPoemInputImage(dataUrl, emotion, poemId = null) {
   const supabase = getSupabase();
   if (!supabase) return null; 
 
   try {
-    const timestamp = Date.now();
-    const safeName = (emotion || 'input').trim().toLowerCase().replace(/[^a-z0-9]/g, '-');
-    const filename = `input-${timestamp}-${safeName}.png`;
+    const filename = inputImageFilename(emotion, poemId);
 
     // 1. Convert DataURL to Blob
     const res = await fetch(dataUrl);
@@ -288,7 +627,8 @@ export async function uploadPoemInputImage(dataUrl, emotion) {
         upsert: false
       });
 
-    if (uploadError) throw uploadError;
+    // Uploaded by an earlier attempt whose answer got lost: keep that file
+    if (uploadError && !(poemId && isDuplicateUpload(uploadError))) throw classifyWriteError(uploadError);
 
     // 3. Get Public URL
     const { data } = supabase.storage
@@ -300,26 +640,71 @@ export async function uploadPoemInputImage(dataUrl, emotion) {
 
   } catch (error) {
     console.error('❌ Error uploading input image:', error);
+    if (error instanceof WriteRejectedError) throw error;
     return null;
   }
 }
 
+// Storage answers 409 when the file already exists
+const isDuplicateUpload = (error) => error.statusCode === '409' || /exists/i.test(error.message);
+
 /**
- * Upload audio blob to Supabase Storage
- * @param {Blob} audioBlob - Audio blob from ElevenLabs
- * @param {string} emotion - Emotion for filename
- * @returns {Promise<string|null>} - Permanent Public URL
+ * Find a narration already synthesized with the same content
+ * @param {string} cacheKey - Content hash (see narrationCache.js)
+ * @returns {Promise<{audioUrl: string, wordTimings: number[][]|null}|null>} - null when not cached
  */
-export async function uploadAudio(audioBlob, emotion) {
+export async function findCachedNarration(cacheKey) {
   const supabase = getSupabase();
   if (!supabase) return null;
 
   try {
-    const timestamp = Date.now();
-    const safeName = (emotion || 'poem').trim().toLowerCase().replace(/[^a-z0-9]/g, '-');
-    const filename = `${timestamp}-${safeName}.mp3`;
+    const { data, error } = await supabase
+      .from('narration_cache')
+      .select('audio_url, word_timings')
+      .eq('cache_key', cacheKey)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? { audioUrl: data.audio_url, wordTimings: data.word_timings } : null;
+  } catch (error) {
+    console.error('❌ Error looking up cached narration:', error);
+    return null;
+  }
+}
+
+const narrationFilename = (cacheKey) => `narrations/${cacheKey}.mp3`;
 
-    // Upload to 'audio' bucket
+/**
+ * Public URL a cached narration has once stored (see saveCachedNarration)
+ * @param {string} cacheKey - Content hash
+ * @returns {string|null}
+ */
+export function getCachedNarrationUrl(cacheKey) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+  return supabase.storage.from('audio').getPublicUrl(narrationFilename(cacheKey)).data.publicUrl;
+}
+
+/**
+ * Store a synthesized narration under its content hash (the file is only uploaded once)
+ * @param {Object} data
+ * @param {string} data.cacheKey - Content hash, also the file name
+ * @param {Blob} data.audioBlob - Audio from the speech provider
+ * @param {number[][]} [data.wordTimings] - [start, end] seconds of each word
+ * @param {string} data.modelId - Text-to-speech model
+ * @param {string} data.voiceId - Voice used
+ * @param {string} [data.voiceProfile] - Narration profile used
+ * @param {number} [data.characters] - Characters synthesized
+ * @returns {Promise<string|null>} - Public URL of the audio
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
+ */
+export async function saveCachedNarration({ cacheKey, audioBlob, wordTimings = null, modelId, voiceId, voiceProfile = null, characters = null }) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+
+  try {
+    const filename = narrationFilename(cacheKey);
     const { error: uploadError } = await supabase.storage
       .from('audio')
       .upload(filename, audioBlob, {
@@ -327,45 +712,259 @@ export async function uploadAudio(audioBlob, emotion) {
         upsert: false
       });
 
-    if (uploadError) throw uploadError;
+    // Same content uploaded by another screen or an earlier retry: keep that file
+    if (uploadError && !isDuplicateUpload(uploadError)) throw classifyWriteError(uploadError);
 
-    // Get Public URL
     const { data } = supabase.storage
       .from('audio')
       .getPublicUrl(filename);
 
-    console.log('✅ Audio uploaded permanent URL:', data.publicUrl);
+    const { error, status } = await supabase
+      .from('narration_cache')
+      .upsert({
+        cache_key: cacheKey,
+        audio_url: data.publicUrl,
+        word_timings: wordTimings,
+        model_id: modelId,
+        voice_id: voiceId,
+        voice_profile: voiceProfile,
+        tts_characters: characters
+      }, { onConflict: 'cache_key', ignoreDuplicates: true });
+
+    if (error) throw classifyWriteError(error, status);
+
+    console.log('✅ Narration cached:', data.publicUrl);
     return data.publicUrl;
-
   } catch (error) {
-    console.error('❌ Error uploading audio:', error);
+    console.error('❌ Error caching narration:', error);
+    if (error instanceof WriteRejectedError) throw error;
     return null;
   }
 }
 
+/**
+ * Publish the visitor's pick among the versions of a poem (unpublishes its siblings)
+ * @param {string} poemId - Version to publish
+ * @param {string} editToken - Edit token the versions were saved with (see savePoem)
+ * @returns {Promise<boolean>} - Success status
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
+ */
+export async function publishPoemVariant(poemId, editToken) {
+  const supabase = getSupabase();
+  if (!supabase) return false;
+
+  try {
+    const { error, status } = await supabase.rpc('publish_poem_variant', { variant_id: poemId, token: editToken });
+
+    if (error) throw classifyWriteError(error, status);
+
+    console.log('✅ Poem version published:', poemId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error publishing poem version:', error);
+    if (error instanceof WriteRejectedError) throw error;
+    return false;
+  }
+}
+
 /**
  * Update poem with audio URL
  * @param {string} poemId - Poem ID to update
+ * @param {string} editToken - Edit token the poem was saved with (see savePoem)
  * @param {string} audioUrl - Audio URL to save
+ * @param {Object} [details]
+ * @param {{voiceId: string, profile: string}} [details.narration] - Voice and narration profile the audio was made with
+ * @param {number[][]} [details.wordTimings] - [start, end] seconds of each word, to highlight it on replays
  * @returns {Promise<boolean>} - Success status
+ * @throws {WriteRejectedError} - When Supabase refuses it for good
  */
-export async function updatePoemAudio(poemId, audioUrl) {
+export async function updatePoemAudio(poemId, editToken, audioUrl, { narration = null, wordTimings = null } = {}) {
   const supabase = getSupabase();
   if (!supabase) return false;
 
   try {
-    const { error } = await supabase
-      .from('poems')
-      .update({ audio_url: audioUrl })
-      .eq('id', poemId);
-
-    if (error) throw error;
+    // Through set_poem_audio: the app cannot update poems, and this one may be pending review
+    const { data, error, status } = await supabase.rpc('set_poem_audio', {
+      poem_id: poemId,
+      token: editToken,
+      audio_url: audioUrl,
+      voice_id: narration?.voiceId || null,
+      voice_profile: narration?.profile || null,
+      word_timings: wordTimings
+    });
+
+    if (error) throw classifyWriteError(error, status);
+    if (!data) throw new WriteRejectedError(`Poem ${poemId} not found, saved by another client, or it already has another audio`);
 
     console.log('✅ Poem audio URL updated');
     return true;
   } catch (error) {
     console.error('❌ Error updating poem audio:', error);
+    if (error instanceof WriteRejectedError) throw error;
     return false;
   }
 }
 
+
+// Review (admin view, ?view=admin): signed-in admins see every poem and change its status.
+// Admins are Supabase Auth users listed in poem_admins (see supabase_schema.sql)
+
+async function withAdminCheck(supabase, user) {
+  const { data: isAdmin, error } = await supabase.rpc('is_poem_admin');
+  if (error) throw error;
+  return { user, isAdmin: Boolean(isAdmin) };
+}
+
+/**
+ * The signed-in user of the admin view, if any
+ * @returns {Promise<{user: Object, isAdmin: boolean}|null>} - null when nobody is signed in
+ */
+export async function getAdminUser() {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+
+  try {
+    const { data: { session }, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    if (!session) return null;
+    return await withAdminCheck(supabase, session.user);
+  } catch (error) {
+    console.error('❌ Error reading the admin session:', error);
+    return null;
+  }
+}
+
+/**
+ * Sign in to the admin view (Supabase Auth, email and password)
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{user: Object, isAdmin: boolean}|null>} - null when the credentials are wrong
+ */
+export async function signInAdmin(email, password) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return await withAdminCheck(supabase, data.user);
+  } catch (error) {
+    console.error('❌ Error signing in:', error);
+    return null;
+  }
+}
+
+/**
+ * Sign out of the admin view
+ */
+export async function signOutAdmin() {
+  const supabase = getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.auth.signOut();
+  if (error) console.error('❌ Error signing out:', error);
+}
+
+/**
+ * Count poems by review status (admins count them all; anyone else only the public ones)
+ * @returns {Promise<Object|null>} - { pending, approved, hidden, featured }
+ */
+export async function getPoemStatusCounts() {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+
+  try {
+    const statuses = Object.values(POEM_STATUSES);
+    const results = await Promise.all(statuses.map(status => supabase
+      .from('poems')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status)
+    ));
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    return Object.fromEntries(statuses.map((status, i) => [status, results[i].count || 0]));
+  } catch (error) {
+    console.error('❌ Error counting poems by status:', error);
+    return null;
+  }
+}
+
+/**
+ * A page of poems with one review status, for the admin view
+ * @param {Object} options
+ * @param {string} options.status - One of POEM_STATUSES
+ * @param {number} [options.limit=30]
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{poems: Array, nextCursor: string|null}>} - Pending poems oldest first
+ *   (the queue), the rest newest first
+ */
+export async function getPoemsForReview({ status, limit = 30, cursor = null }) {
+  const supabase = getSupabase();
+  if (!supabase) return { poems: [], nextCursor: null };
+
+  try {
+    const isQueue = status === POEM_STATUSES.PENDING;
+    const after = cursor ? decodePoemsCursor(cursor) : null;
+    if (cursor && !after) throw new Error(`Invalid review cursor: ${cursor}`);
+
+    let query = supabase
+      .from('poems')
+      .select(`
+        id, emotion, poem, image_url, audio_url, created_at, language, form, analysis,
+        recognized_text, input_type, parent_poem_id, is_published, moderation_flagged,
+        moderation_categories, status, reviewed_at,
+        apps:app_id (slug, name)
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: isQueue })
+      .order('id', { ascending: isQueue })
+      .limit(limit);
+
+    // Keyset on (created_at, id), like list_poems: reviewed poems leave the list, so offsets would skip some,
+    // and the id breaks ties between poems saved in the same instant
+    if (after) {
+      const op = isQueue ? 'gt' : 'lt';
+      query = query.or(`created_at.${op}."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.${op}.${after.id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const poems = data || [];
+    return {
+      poems,
+      nextCursor: poems.length === limit ? encodePoemsCursor(isQueue ? 'oldest' : 'newest', null, poems[poems.length - 1]) : null
+    };
+  } catch (error) {
+    console.error('❌ Error fetching poems for review:', error);
+    return { poems: [], nextCursor: null };
+  }
+}
+
+/**
+ * Change the review status of some poems (admins only: the RLS policy ignores anyone else)
+ * @param {string[]} poemIds
+ * @param {string} status - One of POEM_STATUSES
+ * @returns {Promise<string[]|null>} - Ids actually changed, or null on errors
+ */
+export async function setPoemsStatus(poemIds, status) {
+  const supabase = getSupabase();
+  if (!supabase || poemIds.length === 0) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('poems')
+      .update({ status })
+      .in('id', poemIds)
+      .select('id');
+
+    if (error) throw error;
+
+    console.log(`✅ ${data.length} poems set to ${status}`);
+    return data.map(row => row.id);
+  } catch (error) {
+    console.error('❌ Error changing the poem status:', error);
+    return null;
+  }
+}
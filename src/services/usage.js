@@ -0,0 +1,119 @@
+import { getTodayUsageCost } from './supabase';
+import { queueUsage } from './outbox';
+
+// Chat completion prices in USD per 1M tokens (images are billed as input tokens).
+// Update when OpenAI changes its pricing; unknown models (e.g. local ones) are recorded without a cost.
+const TOKEN_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+};
+
+// Text-to-speech prices in USD per 1K characters (ElevenLabs Creator plan: 1 credit
+// per character, half for flash/turbo). Override with VITE_ELEVENLABS_USD_PER_1K_CHARS.
+const TTS_PRICE_OVERRIDE = Number(import.meta.env.VITE_ELEVENLABS_USD_PER_1K_CHARS) || null;
+const TTS_PRICES = {
+  eleven_v3: 0.22,
+  eleven_multilingual_v2: 0.22,
+  eleven_flash_v2_5: 0.11,
+  eleven_turbo_v2_5: 0.11
+};
+
+// Daily spend cap in USD (unset: no cap). Once exceeded, poems are written with
+// VITE_BUDGET_FALLBACK: a cheaper model id (e.g. gpt-4o-mini) or "offline".
+const DAILY_BUDGET_USD = Number(import.meta.env.VITE_DAILY_BUDGET_USD) || null;
+export const OFFLINE_BUDGET_FALLBACK = 'offline';
+const BUDGET_FALLBACK = import.meta.env.VITE_BUDGET_FALLBACK || OFFLINE_BUDGET_FALLBACK;
+// Today's spend is re-read at most this often; costs recorded meanwhile are added locally
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+
+let spentToday = null;
+let spentDay = null;
+let spentCheckedAt = 0;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Estimate the cost of a poem generation
+ * @param {string} model - Model id
+ * @param {{promptTokens: number, completionTokens: number}} usage - Tokens spent
+ * @returns {number|null} - USD, or null when the model has no known price
+ */
+export function estimatePoemCost(model, usage) {
+  const price = TOKEN_PRICES[model];
+  if (!price || !usage) return null;
+  return roundCost((usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6);
+}
+
+/**
+ * Estimate the cost of a narration
+ * @param {string} modelId - ElevenLabs model id
+ * @param {number} characters - Characters sent, performance tag included
+ * @returns {number|null} - USD, or null when the model has no known price
+ */
+export function estimateSpeechCost(modelId, characters) {
+  const price = TTS_PRICE_OVERRIDE || TTS_PRICES[modelId];
+  if (!price) return null;
+  return roundCost(characters * price / 1000);
+}
+
+function addToSpentToday(cost) {
+  if (cost && spentToday !== null && spentDay === today()) {
+    spentToday += cost;
+  }
+}
+
+/**
+ * Record the tokens and cost of a poem generation, whether it succeeded or not. Never throws.
+ * @param {Object} data
+ * @param {Object} [data.usage] - PoemUsage of the generation or of its error (nothing is recorded without it);
+ *   its `estimatedCost`, when the chain already priced it step by step, is kept
+ * @param {string} [data.poemId] - Poem id, when it was saved
+ */
+export async function recordPoemUsage({ usage, poemId = null }) {
+  if (!usage) return;
+
+  const estimatedCost = 'estimatedCost' in usage ? usage.estimatedCost : estimatePoemCost(usage.model, usage);
+  addToSpentToday(estimatedCost);
+  await queueUsage({ kind: 'poem', poemId, ...usage, estimatedCost });
+}
+
+/**
+ * Record the characters and cost of a narration. Never throws.
+ * @param {Object} data
+ * @param {string} data.model - ElevenLabs model id
+ * @param {number} data.characters - Characters sent to text-to-speech
+ * @param {string} [data.poemId] - Poem that was narrated
+ */
+export async function recordSpeechUsage({ model, characters, poemId = null }) {
+  const estimatedCost = estimateSpeechCost(model, characters);
+  addToSpentToday(estimatedCost);
+  await queueUsage({ kind: 'speech', model, poemId, ttsCharacters: characters, estimatedCost });
+}
+
+/**
+ * Check the daily budget (VITE_DAILY_BUDGET_USD)
+ * @returns {Promise<string|null>} - null within budget (or without a cap), else the fallback:
+ *   a cheaper model id, or OFFLINE_BUDGET_FALLBACK
+ */
+export async function getBudgetFallback() {
+  if (!DAILY_BUDGET_USD) return null;
+
+  if (spentDay !== today() || Date.now() - spentCheckedAt > BUDGET_CACHE_TTL_MS) {
+    const cost = await getTodayUsageCost();
+    // Unreadable spend: keep the last known figure for today rather than block poems
+    if (cost !== null) {
+      spentToday = cost;
+      spentDay = today();
+    }
+    spentCheckedAt = Date.now();
+  }
+
+  if (spentDay !== today() || spentToday < DAILY_BUDGET_USD) return null;
+
+  console.warn(`💸 Daily budget exceeded ($${spentToday.toFixed(2)} of $${DAILY_BUDGET_USD}), using "${BUDGET_FALLBACK}"`);
+  return BUDGET_FALLBACK;
+}
@@ -0,0 +1,106 @@
+// Web Speech API narration: the browser's own voices, no network or quota.
+// Used when ElevenLabs is not configured or fails (see the speech providers in elevenlabs.js).
+
+// Silence between verses, on top of the voice's own end-of-sentence pause
+const VERSE_PAUSE_MS = 700;
+// Slightly slower than conversational speech
+const SPEECH_RATE = 0.9;
+// Region preferred for each poem language when the browser has several
+const PREFERRED_LOCALES = {
+  es: 'es-ES',
+  en: 'en-GB',
+  pt: 'pt-PT',
+  fr: 'fr-FR'
+};
+
+/**
+ * Whether this browser can speak
+ */
+export function isWebSpeechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+// Voice for the language: the preferred region first, then any region, local voices before remote ones
+function pickVoice(language) {
+  const voices = window.speechSynthesis.getVoices()
+    .filter(voice => voice.lang.toLowerCase().replace('_', '-').split('-')[0] === language);
+  const preferred = PREFERRED_LOCALES[language]?.toLowerCase();
+  const rank = (voice) => (voice.lang.toLowerCase().replace('_', '-') === preferred ? 0 : 2) + (voice.localService ? 0 : 1);
+  return voices.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * Prepare a poem to be read by the browser, verse by verse with a pause between verses
+ * @param {string} text - Poem text, one verse per line
+ * @param {Object} [options]
+ * @param {string} [options.language='es'] - ISO 639-1 code of the poem
+ * @param {() => void} [options.onPlay] - Reading started or resumed
+ * @param {() => void} [options.onPause] - Reading paused
+ * @param {() => void} [options.onEnd] - Last verse read
+ * @returns {{play: () => void, pause: () => void, stop: () => void}}
+ *   Pausing stops the current verse; playing again resumes from its start
+ */
+export function createWebSpeechNarration(text, { language = 'es', onPlay, onPause, onEnd } = {}) {
+  const synth = window.speechSynthesis;
+  const verses = text.split('\n').map(line => line.trim()).filter(Boolean);
+  let verseIndex = 0;
+  let isPlaying = false;
+  let pauseTimer = null;
+  // Bumped on pause and stop: cancelled utterances still fire their end events
+  let run = 0;
+
+  const halt = () => {
+    run++;
+    clearTimeout(pauseTimer);
+    synth.cancel();
+  };
+
+  const speakVerse = (currentRun) => {
+    if (currentRun !== run) return;
+    if (verseIndex >= verses.length) {
+      verseIndex = 0;
+      isPlaying = false;
+      onEnd?.();
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(verses[verseIndex]);
+    const voice = pickVoice(language);
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || PREFERRED_LOCALES[language] || language;
+    utterance.rate = SPEECH_RATE;
+    utterance.onend = () => {
+      if (currentRun !== run) return;
+      verseIndex++;
+      pauseTimer = setTimeout(() => speakVerse(currentRun), VERSE_PAUSE_MS);
+    };
+    utterance.onerror = (event) => {
+      if (currentRun !== run) return;
+      console.error('Web Speech error:', event.error);
+      isPlaying = false;
+      onPause?.();
+    };
+    synth.speak(utterance);
+  };
+
+  return {
+    play() {
+      if (isPlaying || verses.length === 0) return;
+      halt();
+      isPlaying = true;
+      onPlay?.();
+      speakVerse(run);
+    },
+    pause() {
+      if (!isPlaying) return;
+      halt();
+      isPlaying = false;
+      onPause?.();
+    },
+    stop() {
+      halt();
+      verseIndex = 0;
+      isPlaying = false;
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// Word timings of a narration: [startSeconds, endSeconds] for each word of the poem,
+// in reading order. Words are split the way PoemDisplay and IdleCarousel show them
+// (whitespace-separated, empty lines skipped), so index i is the i-th word on screen.
+
+// A word stays highlighted this long after it ends
+const WORD_HOLD_SECONDS = 0.3;
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Turn ElevenLabs character alignment into word timings
+ * @param {string} text - Poem text that was narrated
+ * @param {{characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}} alignment
+ *   Alignment of the whole spoken text
+ * @param {number} [textOffset=0] - Characters spoken before the poem (the performance tag and its space)
+ * @returns {number[][]|null} - null when the alignment does not match the text
+ */
+export function alignmentToWordTimings(text, alignment, textOffset = 0) {
+  const characters = alignment?.characters;
+  const starts = alignment?.character_start_times_seconds;
+  const ends = alignment?.character_end_times_seconds;
+  if (!characters || !starts || !ends) return null;
+  if (characters.slice(textOffset, textOffset + text.length).join('') !== text) return null;
+
+  return [...text.matchAll(/\S+/g)].map(match => {
+    const first = textOffset + match.index;
+    const last = first + match[0].length - 1;
+    return [roundTime(starts[first]), roundTime(ends[last])];
+  });
+}
+
+/**
+ * Word being spoken at a playback time
+ * @param {number[][]|null} wordTimings
+ * @param {number} time - Playback position in seconds
+ * @returns {number} - Word index, or -1 in pauses (between verses, before the first word and after the last)
+ */
+export function findSpokenWord(wordTimings, time) {
+  if (!wordTimings) return -1;
+
+  let index = -1;
+  while (index + 1 < wordTimings.length && wordTimings[index + 1][0] <= time) index++;
+  // Stay on a word through the short gap before the next one, not through a pause
+  return index >= 0 && time < wordTimings[index][1] + WORD_HOLD_SECONDS ? index : -1;
+}
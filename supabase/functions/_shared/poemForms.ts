@@ -0,0 +1,86 @@
+// Server-side copy of the poetic forms.
+// Keep in sync with src/services/poemProviders/forms.js
+
+export interface PoemLimits {
+  minLines: number;
+  maxLines: number;
+  maxWordsPerLine: number;
+  maxEmotionWords: number;
+  maxAnalysisLength: number;
+}
+
+export interface PoemForm {
+  id: string;
+  instructions: string;
+  rules: string;
+  limits: PoemLimits;
+  maxTokens: number;
+  check?: (lines: string[], emotion: string) => string[];
+}
+
+const stripAccents = (text: string) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+
+// Acrostic: the line initials must spell the emotion word
+const checkAcrostic = (lines: string[], emotion: string) => {
+  const letters = stripAccents(emotion).toUpperCase().replace(/[^A-Z]/g, '').split('')
+  const initials = lines.map(line => stripAccents(line).toUpperCase().replace(/^[^A-Z]+/, '').charAt(0))
+
+  if (letters.length !== lines.length) {
+    return [`El acróstico debe tener un verso por letra de "${emotion}" (${letters.length} versos, tiene ${lines.length}).`]
+  }
+
+  return letters
+    .map((letter, i) => (initials[i] === letter ? null : `El verso ${i + 1} debe empezar por "${letter}".`))
+    .filter((issue): issue is string => Boolean(issue))
+}
+
+export const POEM_FORMS: Record<string, PoemForm> = {
+  free: {
+    id: 'free',
+    instructions: 'Un poema breve en verso libre (4-5 versos cortos).',
+    rules: '- VERSOS BREVES Y CONCISOS: Mantén cada línea corta (máximo 5-6 palabras), priorizando la economía de lenguaje.',
+    limits: { minLines: 4, maxLines: 5, maxWordsPerLine: 6, maxEmotionWords: 3, maxAnalysisLength: 300 },
+    maxTokens: 400
+  },
+  haiku: {
+    id: 'haiku',
+    instructions: 'Un haiku: exactamente 3 versos de 5, 7 y 5 sílabas.',
+    rules: '- Una sola imagen de la naturaleza, con un kigo (referencia a la estación) si encaja.',
+    limits: { minLines: 3, maxLines: 3, maxWordsPerLine: 7, maxEmotionWords: 3, maxAnalysisLength: 300 },
+    maxTokens: 300
+  },
+  tanka: {
+    id: 'tanka',
+    instructions: 'Un tanka: exactamente 5 versos de 5, 7, 5, 7 y 7 sílabas.',
+    rules: '- Los tres primeros versos presentan una imagen; los dos últimos giran hacia lo íntimo.',
+    limits: { minLines: 5, maxLines: 5, maxWordsPerLine: 8, maxEmotionWords: 3, maxAnalysisLength: 300 },
+    maxTokens: 350
+  },
+  decima: {
+    id: 'decima',
+    instructions: 'Una décima espinela: exactamente 10 versos octosílabos con rima consonante abbaaccddc.',
+    rules: '- Aquí la rima es obligatoria, pero evita rimas fáciles (-ado, -ción).',
+    limits: { minLines: 10, maxLines: 10, maxWordsPerLine: 8, maxEmotionWords: 3, maxAnalysisLength: 300 },
+    maxTokens: 600
+  },
+  prose: {
+    id: 'prose',
+    instructions: 'Un poema en prosa: un único párrafo de 40 a 80 palabras, sin saltos de línea.',
+    rules: '- Frases con ritmo y pausas; la imagen avanza como un río.',
+    limits: { minLines: 1, maxLines: 1, maxWordsPerLine: 90, maxEmotionWords: 3, maxAnalysisLength: 300 },
+    maxTokens: 500
+  },
+  acrostic: {
+    id: 'acrostic',
+    instructions: 'Un acróstico sobre la emoción: un verso por cada letra de la palabra del campo "emotion", en orden, y cada verso empieza por esa letra.',
+    rules: '- La emoción debe ser UNA sola palabra. Versos cortos (máximo 6 palabras).',
+    limits: { minLines: 3, maxLines: 12, maxWordsPerLine: 6, maxEmotionWords: 1, maxAnalysisLength: 300 },
+    maxTokens: 500,
+    check: checkAcrostic
+  }
+}
+
+export const DEFAULT_POEM_FORM = 'free'
+
+export const getPoemForm = (id?: string | null): PoemForm =>
+  POEM_FORMS[id ?? ''] || POEM_FORMS[DEFAULT_POEM_FORM]
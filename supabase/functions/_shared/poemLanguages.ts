@@ -0,0 +1,24 @@
+// Server-side copy of the poem languages.
+// Keep in sync with src/services/poemProviders/languages.js
+
+export const AUTO_LANGUAGE = 'auto'
+// Used when there is no legible text to detect a language from
+export const FALLBACK_LANGUAGE = 'es'
+
+// Names used in the prompt when a language is fixed (ISO 639-1)
+export const LANGUAGE_NAMES: Record<string, string> = {
+  es: 'español',
+  en: 'inglés',
+  ca: 'catalán',
+  fr: 'francés',
+  it: 'italiano',
+  pt: 'portugués',
+  de: 'alemán',
+  eu: 'euskera',
+  gl: 'gallego'
+}
+
+export function normalizeLanguage(value?: string | null): string {
+  const code = (value || '').trim().toLowerCase()
+  return /^[a-z]{2}$/.test(code) ? code : AUTO_LANGUAGE
+}
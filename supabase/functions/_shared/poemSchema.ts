@@ -0,0 +1,116 @@
+// Server-side copy of the poem output schema.
+// Keep in sync with src/services/poemProviders/schema.js
+
+import { getPoemForm, type PoemForm } from './poemForms.ts'
+import { AUTO_LANGUAGE } from './poemLanguages.ts'
+
+// What the model saw on the canvas (stored in poems.input_type)
+export const INPUT_TYPES = ['word', 'drawing', 'abstract']
+const MAX_RECOGNIZED_TEXT_LENGTH = 100
+
+export interface PoemResult {
+  analysis: string;
+  emotion: string;
+  language: string;
+  poem: string;
+  inputType: string;
+  recognizedText: string | null;
+}
+
+export interface PoemValidation {
+  value: PoemResult | null;
+  issues: string[];
+}
+
+const countWords = (text: string) => text.split(/\s+/).filter(Boolean).length
+
+export function validatePoemResult(raw: unknown, form: PoemForm = getPoemForm(), expectedLanguage: string = AUTO_LANGUAGE): PoemValidation {
+  const { limits } = form
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, issues: ['La respuesta debe ser un objeto JSON con "emotion", "language", "poem", "analysis", "inputType" y "recognizedText".'] }
+  }
+
+  const result = raw as Record<string, unknown>
+  const issues: string[] = []
+
+  const analysis = typeof result.analysis === 'string' ? result.analysis.trim() : ''
+  if (!analysis) {
+    issues.push('"analysis" debe ser un texto no vacío.')
+  } else if (analysis.length > limits.maxAnalysisLength) {
+    issues.push(`"analysis" debe tener como máximo ${limits.maxAnalysisLength} caracteres.`)
+  }
+
+  const emotion = typeof result.emotion === 'string' ? result.emotion.trim() : ''
+  if (!emotion) {
+    issues.push('"emotion" debe ser un texto no vacío.')
+  } else if (countWords(emotion) > limits.maxEmotionWords) {
+    issues.push(`"emotion" debe tener como máximo ${limits.maxEmotionWords} palabras.`)
+  }
+
+  const language = typeof result.language === 'string' ? result.language.trim().toLowerCase() : ''
+  if (!/^[a-z]{2}$/.test(language)) {
+    issues.push('"language" debe ser un código ISO 639-1 de dos letras (ej: "es").')
+  } else if (expectedLanguage !== AUTO_LANGUAGE && language !== expectedLanguage) {
+    issues.push(`Debes responder en el idioma "${expectedLanguage}", no en "${language}".`)
+  }
+
+  const inputType = result.inputType as string
+  if (!INPUT_TYPES.includes(inputType)) {
+    issues.push(`"inputType" debe ser uno de: ${INPUT_TYPES.map(type => `"${type}"`).join(', ')}.`)
+  }
+
+  const recognizedText = typeof result.recognizedText === 'string' ? result.recognizedText.trim() : ''
+  if (result.recognizedText !== undefined && result.recognizedText !== null && typeof result.recognizedText !== 'string') {
+    issues.push('"recognizedText" debe ser un texto (vacío si no hay texto legible).')
+  } else if (recognizedText.length > MAX_RECOGNIZED_TEXT_LENGTH) {
+    issues.push(`"recognizedText" debe tener como máximo ${MAX_RECOGNIZED_TEXT_LENGTH} caracteres.`)
+  } else if (inputType === 'word' && !recognizedText) {
+    issues.push('Con "inputType": "word", "recognizedText" debe contener el texto leído.')
+  }
+
+  const lines = typeof result.poem === 'string'
+    ? result.poem.split('\n').map(line => line.trim()).filter(Boolean)
+    : []
+  if (lines.length === 0) {
+    issues.push('"poem" debe ser un texto con los versos separados por saltos de línea (\\n).')
+  } else {
+    if (lines.length < limits.minLines || lines.length > limits.maxLines) {
+      issues.push(`"poem" debe tener entre ${limits.minLines} y ${limits.maxLines} versos (tiene ${lines.length}).`)
+    }
+    lines.forEach((line, index) => {
+      const words = countWords(line)
+      if (words > limits.maxWordsPerLine) {
+        issues.push(`El verso ${index + 1} tiene ${words} palabras (máximo ${limits.maxWordsPerLine}).`)
+      }
+    })
+  }
+
+  if (issues.length === 0 && form.check) {
+    issues.push(...form.check(lines, emotion))
+  }
+
+  if (issues.length > 0) {
+    return { value: null, issues }
+  }
+
+  return {
+    value: { analysis, emotion, language, poem: lines.join('\n'), inputType, recognizedText: recognizedText || null },
+    issues
+  }
+}
+
+export function parsePoemContent(content: string | null, finishReason?: string, form?: PoemForm, language?: string): PoemValidation {
+  if (finishReason === 'length') {
+    return { value: null, issues: ['La respuesta se cortó antes de terminar: sé más breve.'] }
+  }
+
+  let parsed: unknown
+  try {
+    parsed = JSON.parse(content ?? '')
+  } catch {
+    return { value: null, issues: ['La respuesta no es JSON válido.'] }
+  }
+
+  return validatePoemResult(parsed, form, language)
+}
@@ -0,0 +1,52 @@
+// Server-side loader for the prompt_templates table.
+// Keep in sync with src/services/promptTemplates.js
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { DEFAULT_PROMPT_TEMPLATE, DEFAULT_PROMPT_VERSION } from './poemPrompt.ts'
+
+export interface PromptTemplate {
+  version: number;
+  name: string;
+  systemPrompt: string;
+}
+
+export const BUNDLED_PROMPT_TEMPLATE: PromptTemplate = {
+  version: DEFAULT_PROMPT_VERSION,
+  name: 'bundled',
+  systemPrompt: DEFAULT_PROMPT_TEMPLATE
+}
+
+// Load a template version for an app (the active one when no version is given).
+// Falls back to the bundled prompt: a missing template never blocks a poem.
+export const loadPromptTemplate = async (appSlug: string, version?: number | null): Promise<PromptTemplate> => {
+  if (version === DEFAULT_PROMPT_VERSION) return BUNDLED_PROMPT_TEMPLATE
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+  if (!supabaseUrl || !serviceRoleKey) return BUNDLED_PROMPT_TEMPLATE
+
+  try {
+    const supabase = createClient(supabaseUrl, serviceRoleKey)
+    let query = supabase
+      .from('prompt_templates')
+      .select('version, name, system_prompt, apps!inner(slug)')
+      .eq('apps.slug', appSlug)
+    query = version === undefined || version === null
+      ? query.eq('is_active', true)
+      : query.eq('version', version)
+
+    const { data, error } = await query.maybeSingle()
+    if (error) throw error
+    if (!data) {
+      if (version !== undefined && version !== null) {
+        console.warn(`Prompt template v${version} not found for "${appSlug}", using the bundled prompt`)
+      }
+      return BUNDLED_PROMPT_TEMPLATE
+    }
+
+    return { version: data.version, name: data.name, systemPrompt: data.system_prompt }
+  } catch (error) {
+    console.warn('Could not load the prompt template, using the bundled prompt:', error.message)
+    return BUNDLED_PROMPT_TEMPLATE
+  }
+}
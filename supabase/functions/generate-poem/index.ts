@@ -0,0 +1,415 @@
+// Edge Function: Generate Poem
+// Runs the multimodal poem prompt server-side so the OpenAI key never reaches the browser
+
+import { buildPoemMessages, buildRepairMessage, IMAGE_DETAIL } from '../_shared/poemPrompt.ts'
+import { parsePoemContent, type PoemResult } from '../_shared/poemSchema.ts'
+import { POEM_FORMS, getPoemForm, type PoemForm } from '../_shared/poemForms.ts'
+import { AUTO_LANGUAGE, normalizeLanguage } from '../_shared/poemLanguages.ts'
+import { loadPromptTemplate, type PromptTemplate } from '../_shared/promptTemplates.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions'
+const MODEL = Deno.env.get('OPENAI_MODEL') || 'gpt-4o'
+// Models a client may ask for instead (the cheaper one used over the daily budget)
+const ALLOWED_MODELS = [MODEL, ...(Deno.env.get('OPENAI_ALLOWED_MODELS') || 'gpt-4o-mini').split(',').map(id => id.trim()).filter(Boolean)]
+const REQUEST_TIMEOUT_MS = 30000
+const MAX_REPAIR_ATTEMPTS = 2
+
+// Payload limits
+const MAX_BODY_BYTES = 10 * 1024 * 1024 // Whole request
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024 // Each decoded image
+const ALLOWED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+const DEFAULT_APP_SLUG = 'guestbook'
+
+// Rate limits: the anon key that calls this function ships to every browser.
+// Per caller (IP) within a sliding window, and for everyone within a UTC day
+const RATE_LIMIT_PER_CALLER = parseInt(Deno.env.get('GENERATION_RATE_LIMIT') || '30')
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(Deno.env.get('GENERATION_RATE_WINDOW_SECONDS') || '600')
+const DAILY_GENERATION_LIMIT = parseInt(Deno.env.get('GENERATION_DAILY_LIMIT') || '2000')
+
+interface GeneratePoemRequest {
+  canvas: string;
+  face?: string | null;
+  form?: string;
+  language?: string;
+  app?: string;
+  promptVersion?: number | null;
+  model?: string;
+  stream?: boolean;
+}
+
+// Tokens spent on a poem, summed over the repair requests (PoemUsage on the client)
+interface PoemUsage {
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  requests: number;
+  imageDetail: string;
+  imageCount: number;
+}
+
+interface StreamHooks {
+  onDelta?: (content: string) => void;
+  onRetry?: (issues: string[]) => void;
+  // Aborted when the caller goes away: the pending OpenAI request is dropped
+  signal?: AbortSignal;
+}
+
+class RequestError extends Error {
+  status: number
+
+  constructor(message: string, status = 400) {
+    super(message)
+    this.status = status
+  }
+}
+
+// Failure reasons, mirrored by POEM_ERROR_CODES on the client.
+// `usage` has the tokens of the answers already received, so the client records them anyway
+class GenerationError extends Error {
+  code: 'timeout' | 'refusal' | 'malformed' | 'upstream'
+  status: number
+  usage: PoemUsage | null = null
+
+  constructor(code: GenerationError['code'], message: string, status: number) {
+    super(message)
+    this.code = code
+    this.status = status
+  }
+}
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status
+  })
+
+// Validate a data URL image: allowed MIME type and decoded size
+const validateImage = (dataUrl: unknown, field: string) => {
+  if (typeof dataUrl !== 'string') {
+    throw new RequestError(`"${field}" must be a data URL string`)
+  }
+
+  const match = dataUrl.match(/^data:([\w/+.-]+);base64,/)
+  if (!match) {
+    throw new RequestError(`"${field}" must be a base64 data URL`)
+  }
+
+  const mimeType = match[1].toLowerCase()
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new RequestError(`"${field}" has unsupported type ${mimeType}`, 415)
+  }
+
+  const base64Length = dataUrl.length - match[0].length
+  const decodedBytes = Math.floor(base64Length * 3 / 4)
+  if (decodedBytes > MAX_IMAGE_BYTES) {
+    throw new RequestError(`"${field}" exceeds ${MAX_IMAGE_BYTES / 1024 / 1024} MB`, 413)
+  }
+}
+
+const parseRequest = async (req: Request): Promise<GeneratePoemRequest> => {
+  const declaredLength = parseInt(req.headers.get('content-length') || '0')
+  if (declaredLength > MAX_BODY_BYTES) {
+    throw new RequestError('Payload too large', 413)
+  }
+
+  const raw = await req.text()
+  if (raw.length > MAX_BODY_BYTES) {
+    throw new RequestError('Payload too large', 413)
+  }
+
+  let body: GeneratePoemRequest
+  try {
+    body = JSON.parse(raw)
+  } catch {
+    throw new RequestError('Body must be valid JSON')
+  }
+
+  validateImage(body?.canvas, 'canvas')
+  if (body.face) {
+    validateImage(body.face, 'face')
+  }
+
+  if (body.form && !POEM_FORMS[body.form]) {
+    throw new RequestError(`Unknown poem form "${body.form}"`)
+  }
+
+  if (body.language && body.language !== AUTO_LANGUAGE && normalizeLanguage(body.language) === AUTO_LANGUAGE) {
+    throw new RequestError(`"language" must be "${AUTO_LANGUAGE}" or an ISO 639-1 code`)
+  }
+
+  if (body.app !== undefined && (typeof body.app !== 'string' || !body.app)) {
+    throw new RequestError('"app" must be an app slug')
+  }
+
+  if (body.promptVersion !== undefined && body.promptVersion !== null &&
+      (!Number.isInteger(body.promptVersion) || body.promptVersion < 0)) {
+    throw new RequestError('"promptVersion" must be a non-negative integer')
+  }
+
+  if (body.model !== undefined && !ALLOWED_MODELS.includes(body.model)) {
+    throw new RequestError(`"model" must be one of: ${ALLOWED_MODELS.join(', ')}`)
+  }
+
+  return body
+}
+
+// Caller key for the rate limit: a hash of the client IP (the raw address is never stored)
+const callerKey = async (req: Request) => {
+  const ip = req.headers.get('x-forwarded-for')?.split(',')[0].trim() || req.headers.get('x-real-ip') || 'unknown'
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(ip))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Take a generation slot (claim_generation_slot in supabase_schema.sql).
+// Without the database the limits cannot be checked, so the request is refused
+const checkRateLimit = async (req: Request) => {
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are needed for the rate limits')
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey)
+  const { data: allowed, error } = await supabase.rpc('claim_generation_slot', {
+    client: await callerKey(req),
+    max_per_window: RATE_LIMIT_PER_CALLER,
+    window_seconds: RATE_LIMIT_WINDOW_SECONDS,
+    max_per_day: DAILY_GENERATION_LIMIT
+  })
+  if (error) throw new Error(`Rate limit check failed: ${error.message}`)
+  if (!allowed) throw new RequestError('Too many poems requested, try again later', 429)
+}
+
+// Read an OpenAI SSE stream into the same shape as a regular completion
+const readCompletionStream = async (response: Response, onDelta: (content: string) => void) => {
+  const reader = response.body!.pipeThrough(new TextDecoderStream()).getReader()
+  let pending = ''
+  let content = ''
+  let refusal = ''
+  let finishReason: string | null = null
+  let usage = null
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    pending += value
+    const lines = pending.split('\n')
+    pending = lines.pop() ?? ''
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue
+      const payload = line.slice(5).trim()
+      if (!payload || payload === '[DONE]') continue
+
+      const chunk = JSON.parse(payload)
+      // With include_usage the last chunk carries the usage and no choices
+      if (chunk.usage) usage = chunk.usage
+      const choice = chunk.choices?.[0]
+      if (!choice) continue
+
+      if (choice.delta?.content) {
+        content += choice.delta.content
+        onDelta(choice.delta.content)
+      }
+      if (choice.delta?.refusal) refusal += choice.delta.refusal
+      if (choice.finish_reason) finishReason = choice.finish_reason
+    }
+  }
+
+  return { choices: [{ message: { content, refusal: refusal || null }, finish_reason: finishReason }], usage }
+}
+
+const addUsage = (total: PoemUsage, usage?: { prompt_tokens?: number, completion_tokens?: number, total_tokens?: number } | null): PoemUsage => ({
+  ...total,
+  promptTokens: total.promptTokens + (usage?.prompt_tokens || 0),
+  completionTokens: total.completionTokens + (usage?.completion_tokens || 0),
+  totalTokens: total.totalTokens + (usage?.total_tokens || 0),
+  requests: total.requests + 1
+})
+
+const requestCompletion = async (apiKey: string, model: string, messages: unknown[], maxTokens: number, onDelta?: (content: string) => void, signal?: AbortSignal) => {
+  try {
+    const response = await fetch(OPENAI_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        response_format: { type: 'json_object' },
+        max_tokens: maxTokens,
+        temperature: 1.0,
+        stream: Boolean(onDelta),
+        ...(onDelta ? { stream_options: { include_usage: true } } : {})
+      }),
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)]) : AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('OpenAI API error:', response.status, errorText)
+      throw new GenerationError('upstream', `OpenAI API error: ${response.status}`, 502)
+    }
+
+    return onDelta ? await readCompletionStream(response, onDelta) : await response.json()
+  } catch (error) {
+    if (error instanceof GenerationError) throw error
+    if (error instanceof DOMException && error.name === 'TimeoutError') {
+      throw new GenerationError('timeout', `OpenAI did not answer within ${REQUEST_TIMEOUT_MS} ms`, 504)
+    }
+    throw new GenerationError('upstream', error.message, 502)
+  }
+}
+
+// Run the prompt, sending invalid answers back for repair up to MAX_REPAIR_ATTEMPTS times
+const generatePoem = async (apiKey: string, model: string, canvas: string, face: string | null | undefined, form: PoemForm, language: string, template: PromptTemplate, hooks: StreamHooks = {}): Promise<PoemResult & { usage: PoemUsage }> => {
+  const messages: unknown[] = buildPoemMessages(canvas, face, form, language, template.systemPrompt)
+  let usage: PoemUsage = {
+    model,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    requests: 0,
+    imageDetail: IMAGE_DETAIL,
+    imageCount: face ? 2 : 1
+  }
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const completion = await requestCompletion(apiKey, model, messages, form.maxTokens, hooks.onDelta, hooks.signal)
+      usage = addUsage(usage, completion.usage)
+      const choice = completion.choices?.[0]
+
+      if (!choice) {
+        throw new GenerationError('upstream', 'OpenAI returned no choices', 502)
+      }
+
+      if (choice.message?.refusal || choice.finish_reason === 'content_filter') {
+        throw new GenerationError('refusal', choice.message?.refusal || 'Content filtered', 422)
+      }
+
+      const content = choice.message?.content ?? ''
+      const { value, issues } = parsePoemContent(content, choice.finish_reason, form, language)
+
+      if (value) return { ...value, usage }
+
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        throw new GenerationError('malformed', issues.join(' '), 422)
+      }
+
+      console.warn(`Invalid poem output (attempt ${attempt + 1}), asking for a repair:`, issues)
+      hooks.onRetry?.(issues)
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: buildRepairMessage(issues) }
+      )
+    }
+  } catch (error) {
+    if (error instanceof GenerationError && usage.requests > 0) error.usage = usage
+    throw error
+  }
+}
+
+// Stream the generation as SSE events: delta* (retry delta*)* then done | error.
+// When the client disconnects, the OpenAI request is aborted and nothing more is sent
+const streamPoem = (apiKey: string, model: string, canvas: string, face: string | null | undefined, form: PoemForm, language: string, template: PromptTemplate) => {
+  const encoder = new TextEncoder()
+  const upstream = new AbortController()
+  let isClosed = false
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event: Record<string, unknown>) => {
+        if (!isClosed) controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`))
+      }
+
+      try {
+        const poem = await generatePoem(apiKey, model, canvas, face, form, language, template, {
+          onDelta: (content) => send({ type: 'delta', content }),
+          onRetry: (issues) => send({ type: 'retry', issues }),
+          signal: upstream.signal
+        })
+        send({ type: 'done', data: { ...poem, form: form.id, model, promptVersion: template.version } })
+      } catch (error) {
+        if (isClosed) return
+        const code = error instanceof GenerationError ? error.code : 'upstream'
+        console.error(`generate-poem stream failed [${code}]:`, error.message)
+        send({ type: 'error', code, error: error.message, usage: error instanceof GenerationError ? error.usage : null })
+      } finally {
+        if (!isClosed) {
+          isClosed = true
+          controller.close()
+        }
+      }
+    },
+    cancel() {
+      isClosed = true
+      upstream.abort()
+    }
+  })
+
+  return new Response(body, {
+    headers: { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+  })
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const apiKey = Deno.env.get('OPENAI_API_KEY')
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY secret is not set')
+    }
+
+    const { canvas, face, form: formId, language: requestedLanguage, app, promptVersion, model: requestedModel, stream } = await parseRequest(req)
+    const model = requestedModel || MODEL
+    const form = getPoemForm(formId)
+    const language = normalizeLanguage(requestedLanguage)
+    await checkRateLimit(req)
+    const template = await loadPromptTemplate(app || DEFAULT_APP_SLUG, promptVersion)
+
+    if (stream) {
+      return streamPoem(apiKey, model, canvas, face, form, language, template)
+    }
+
+    const poem = await generatePoem(apiKey, model, canvas, face, form, language, template, { signal: req.signal })
+
+    return jsonResponse({
+      success: true,
+      data: { ...poem, form: form.id, model, promptVersion: template.version }
+    })
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return jsonResponse({ success: false, error: error.message }, error.status)
+    }
+
+    if (error instanceof GenerationError) {
+      console.error(`generate-poem failed [${error.code}]:`, error.message)
+      return jsonResponse({ success: false, code: error.code, error: error.message, usage: error.usage }, error.status)
+    }
+
+    console.error('Error in generate-poem function:', error)
+    return jsonResponse({ success: false, error: error.message || 'Internal server error' }, 500)
+  }
+})
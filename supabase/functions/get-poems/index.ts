@@ -14,11 +14,56 @@ interface PoemResponse {
   poem: string;
   image_url: string | null;
   audio_url: string | null;
+  audio_voice_id: string | null;
+  audio_voice_profile: string | null;
+  audio_word_timings: [number, number][] | null;
   created_at: string;
   language: string;
   ai_model: string;
+  form: string;
+  analysis: string | null;
+  recognized_text: string | null;
+  input_type: 'word' | 'drawing' | 'abstract' | null;
+  primary_emotion: string | null;
+  emotion_intensity: 1 | 2 | 3 | null;
+  emotion_valence: 'positive' | 'negative' | 'neutral' | null;
+  status: 'approved' | 'featured';
 }
 
+const POEM_COLUMNS = 'id, emotion, poem, image_url, audio_url, audio_voice_id, audio_voice_profile, audio_word_timings, created_at, language, ai_model, form, analysis, recognized_text, input_type, primary_emotion, emotion_intensity, emotion_valence, status'
+// Review statuses the public API shows
+const PUBLIC_STATUSES = ['approved', 'featured']
+const POEM_SORTS = ['newest', 'oldest', 'random']
+
+// Same opaque cursor as queryPoems in src/services/supabase.js:
+// base64url of [sort, seed, created_at, id] of the last poem of a page
+const encodeCursor = (sort: string, seed: string | null, poem: PoemResponse) =>
+  btoa(JSON.stringify([sort, seed, poem.created_at, poem.id]))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+function decodeCursor(cursor: string) {
+  try {
+    const [sort, seed, createdAt, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')))
+    return POEM_SORTS.includes(sort) && id ? { sort, seed, createdAt, id } : null
+  } catch {
+    return null
+  }
+}
+
+// 'true' / 'false' filters; anything else does not filter
+const parseBoolean = (value: string | null) => value === 'true' ? true : value === 'false' ? false : null
+
+const badRequest = (message: string) => new Response(
+  JSON.stringify({ 
+    success: false,
+    error: message
+  }),
+  { 
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status: 400 
+  }
+)
+
 Deno.serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
@@ -30,9 +75,15 @@ Deno.serve(async (req) => {
     
     // Query parameters
     const limitParam = url.searchParams.get('limit') || '50'
-    const limit = Math.min(Math.max(parseInt(limitParam), 1), 100) // Between 1-100
+    const limit = Math.min(Math.max(parseInt(limitParam) || 50, 1), 100) // Between 1-100
     const emotion = url.searchParams.get('emotion')
     const appSlug = url.searchParams.get('app') || 'guestbook'
+    const from = url.searchParams.get('from')
+    const to = url.searchParams.get('to')
+    const hasAudio = parseBoolean(url.searchParams.get('has_audio'))
+    const hasImage = parseBoolean(url.searchParams.get('has_image'))
+    const featured = parseBoolean(url.searchParams.get('featured'))
+    const cursorParam = url.searchParams.get('cursor')
     const poemId = url.searchParams.get('id') // For getting a specific poem
 
     // Initialize Supabase client with service role key (bypasses RLS)
@@ -45,8 +96,10 @@ Deno.serve(async (req) => {
     if (poemId) {
       const { data, error } = await supabase
         .from('poems')
-        .select('id, emotion, poem, image_url, audio_url, created_at, language, ai_model')
+        .select(POEM_COLUMNS)
         .eq('id', poemId)
+        .in('status', PUBLIC_STATUSES)
+        .eq('is_published', true)
         .single()
 
       if (error) {
@@ -80,39 +133,37 @@ Deno.serve(async (req) => {
       )
     }
 
-    // Get app_id for filtering (if app slug is specified)
-    let appId = null
-    if (appSlug) {
-      const { data: app } = await supabase
-        .from('apps')
-        .select('id')
-        .eq('slug', appSlug)
-        .single()
-      
-      appId = app?.id
+    // A cursor carries the sort and seed of the page it continues
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null
+    if (cursorParam && !cursor) {
+      return badRequest('Invalid cursor')
     }
-
-    // Build query for multiple poems
-    let query = supabase
-      .from('poems')
-      .select('id, emotion, poem, image_url, audio_url, created_at, language, ai_model')
-      .order('created_at', { ascending: false })
-      .limit(limit)
-
-    // Helper function to process poem text (remove line breaks for external API)
-    const processPoemText = (poemText: string) => {
-      return poemText.replace(/\n+/g, ' ').replace(/\s+/g, ' ').trim()
+    const sort = cursor?.sort || url.searchParams.get('sort') || 'newest'
+    if (!POEM_SORTS.includes(sort)) {
+      return badRequest(`Invalid sort (use ${POEM_SORTS.join(', ')})`)
     }
-
-    // Filter by app if found
-    if (appId) {
-      query = query.eq('app_id', appId)
-    }
-
-    // Filter by emotion if specified
-    if (emotion) {
-      query = query.ilike('emotion', `%${emotion}%`)
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return badRequest('Invalid date (use ISO 8601)')
     }
+    const seed = cursor?.seed || (sort === 'random' ? url.searchParams.get('seed') || crypto.randomUUID().slice(0, 8) : null)
+
+    // One page of poems, keyset-paginated (list_poems in supabase_schema.sql)
+    const query = supabase
+      .rpc('list_poems', {
+        page_size: limit,
+        sort,
+        seed,
+        cursor_created_at: cursor?.createdAt || null,
+        cursor_id: cursor?.id || null,
+        app_slug: appSlug,
+        emotion_filter: emotion || null,
+        created_from: from,
+        created_to: to,
+        has_audio: hasAudio,
+        has_image: hasImage,
+        featured
+      })
+      .select(POEM_COLUMNS)
 
     const { data, error } = await query
 
@@ -129,9 +180,17 @@ Deno.serve(async (req) => {
         success: true,
         data: processedData as PoemResponse[],
         count: processedData?.length || 0,
+        next_cursor: data?.length === limit ? encodeCursor(sort, seed, data[data.length - 1]) : null,
         params: {
           limit,
+          sort,
+          seed,
           emotion: emotion || null,
+          from,
+          to,
+          has_audio: hasAudio,
+          has_image: hasImage,
+          featured,
           app: appSlug
         }
       }),
@@ -13,6 +13,9 @@ CREATE TABLE IF NOT EXISTS apps (
   slug TEXT UNIQUE NOT NULL,
   name TEXT NOT NULL,
   description TEXT,
+  -- Moderation of new poems: 'auto' publishes what passes the automatic check,
+  -- 'pre' keeps every poem pending until an admin approves it
+  moderation_mode TEXT DEFAULT 'auto' CHECK (moderation_mode IN ('auto', 'pre')),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -22,6 +25,178 @@ INSERT INTO apps (slug, name, description) VALUES
   ('guestbook', 'Libro de Emociones', 'App de escritura de emociones y generación de poemas con IA')
 ON CONFLICT (slug) DO NOTHING;
 
+-- ============================================================
+-- EMOTION TAXONOMY (Plutchik's wheel)
+-- The free-form poetic emotion is kept; each poem is also mapped
+-- to a primary emotion, an intensity (1-3) and a valence
+-- ============================================================
+
+-- Primary emotions, with the names of their mild and intense degrees
+CREATE TABLE IF NOT EXISTS emotions (
+  id TEXT PRIMARY KEY, -- joy, trust, fear, surprise, sadness, disgust, anger, anticipation
+  label_es TEXT NOT NULL,
+  mild_label_es TEXT NOT NULL, -- intensity 1
+  intense_label_es TEXT NOT NULL, -- intensity 3
+  valence TEXT NOT NULL CHECK (valence IN ('positive', 'negative', 'neutral'))
+);
+
+INSERT INTO emotions (id, label_es, mild_label_es, intense_label_es, valence) VALUES
+  ('joy', 'alegría', 'serenidad', 'éxtasis', 'positive'),
+  ('trust', 'confianza', 'aceptación', 'admiración', 'positive'),
+  ('fear', 'miedo', 'aprensión', 'terror', 'negative'),
+  ('surprise', 'sorpresa', 'distracción', 'asombro', 'neutral'),
+  ('sadness', 'tristeza', 'melancolía', 'pena', 'negative'),
+  ('disgust', 'aversión', 'aburrimiento', 'repugnancia', 'negative'),
+  ('anger', 'ira', 'enfado', 'furia', 'negative'),
+  ('anticipation', 'anticipación', 'interés', 'vigilancia', 'positive')
+ON CONFLICT (id) DO NOTHING;
+
+-- Synonyms lookup: normalized term -> primary emotion and intensity.
+-- Add rows here (through normalize_emotion_term) and re-run SELECT backfill_poem_emotions();
+CREATE TABLE IF NOT EXISTS emotion_synonyms (
+  term TEXT PRIMARY KEY,
+  primary_emotion TEXT NOT NULL REFERENCES emotions(id) ON DELETE CASCADE,
+  intensity SMALLINT NOT NULL DEFAULT 2 CHECK (intensity BETWEEN 1 AND 3)
+);
+
+-- Lowercase, trimmed, without accents (ñ is kept)
+CREATE OR REPLACE FUNCTION normalize_emotion_term(term TEXT)
+RETURNS TEXT AS $$
+  SELECT translate(lower(trim(term)), 'áéíóúüàèìòùïç', 'aeiouuaeiouic')
+$$ LANGUAGE sql IMMUTABLE;
+
+INSERT INTO emotion_synonyms (term, primary_emotion, intensity)
+SELECT normalize_emotion_term(term), primary_emotion, intensity FROM (VALUES
+  -- joy
+  ('serenidad', 'joy', 1), ('calma', 'joy', 1), ('paz', 'joy', 1), ('tranquilidad', 'joy', 1),
+  ('tranquilo', 'joy', 1), ('tranquila', 'joy', 1), ('sosiego', 'joy', 1), ('satisfacción', 'joy', 1),
+  ('contento', 'joy', 1), ('contenta', 'joy', 1),
+  ('alegría', 'joy', 2), ('alegre', 'joy', 2), ('felicidad', 'joy', 2), ('feliz', 'joy', 2),
+  ('gozo', 'joy', 2), ('dicha', 'joy', 2), ('diversión', 'joy', 2),
+  ('éxtasis', 'joy', 3), ('euforia', 'joy', 3), ('júbilo', 'joy', 3), ('plenitud', 'joy', 3),
+  -- trust (love is the joy + trust dyad; grouped here)
+  ('aceptación', 'trust', 1), ('tolerancia', 'trust', 1),
+  ('confianza', 'trust', 2), ('seguridad', 'trust', 2), ('gratitud', 'trust', 2), ('agradecimiento', 'trust', 2),
+  ('amor', 'trust', 2), ('cariño', 'trust', 2), ('ternura', 'trust', 2), ('amistad', 'trust', 2),
+  ('admiración', 'trust', 3), ('devoción', 'trust', 3), ('fe', 'trust', 3),
+  -- fear
+  ('aprensión', 'fear', 1), ('inquietud', 'fear', 1), ('nervios', 'fear', 1), ('nervioso', 'fear', 1),
+  ('nerviosa', 'fear', 1), ('preocupación', 'fear', 1), ('timidez', 'fear', 1),
+  ('miedo', 'fear', 2), ('temor', 'fear', 2), ('ansiedad', 'fear', 2), ('angustia', 'fear', 2),
+  ('inseguridad', 'fear', 2), ('vulnerabilidad', 'fear', 2), ('asustado', 'fear', 2), ('asustada', 'fear', 2),
+  ('terror', 'fear', 3), ('pánico', 'fear', 3), ('pavor', 'fear', 3),
+  -- surprise
+  ('distracción', 'surprise', 1), ('curiosidad', 'surprise', 1), ('duda', 'surprise', 1), ('confusión', 'surprise', 1),
+  ('sorpresa', 'surprise', 2), ('sorprendido', 'surprise', 2), ('sorprendida', 'surprise', 2),
+  ('asombro', 'surprise', 3), ('maravilla', 'surprise', 3), ('fascinación', 'surprise', 3), ('estupor', 'surprise', 3),
+  -- sadness
+  ('melancolía', 'sadness', 1), ('nostalgia', 'sadness', 1), ('añoranza', 'sadness', 1), ('pesadumbre', 'sadness', 1),
+  ('desánimo', 'sadness', 1), ('cansancio', 'sadness', 1),
+  ('tristeza', 'sadness', 2), ('triste', 'sadness', 2), ('pena', 'sadness', 2), ('soledad', 'sadness', 2),
+  ('dolor', 'sadness', 2), ('vacío', 'sadness', 2),
+  ('duelo', 'sadness', 3), ('desolación', 'sadness', 3), ('desesperación', 'sadness', 3), ('aflicción', 'sadness', 3),
+  -- disgust
+  ('aburrimiento', 'disgust', 1), ('hastío', 'disgust', 1), ('tedio', 'disgust', 1), ('desagrado', 'disgust', 1),
+  ('aversión', 'disgust', 2), ('asco', 'disgust', 2), ('rechazo', 'disgust', 2), ('desprecio', 'disgust', 2),
+  ('repugnancia', 'disgust', 3), ('odio', 'disgust', 3),
+  -- anger
+  ('enfado', 'anger', 1), ('molestia', 'anger', 1), ('irritación', 'anger', 1), ('fastidio', 'anger', 1),
+  ('frustración', 'anger', 1), ('enfadado', 'anger', 1), ('enfadada', 'anger', 1),
+  ('ira', 'anger', 2), ('rabia', 'anger', 2), ('enojo', 'anger', 2), ('indignación', 'anger', 2), ('rencor', 'anger', 2),
+  ('cólera', 'anger', 3), ('furia', 'anger', 3),
+  -- anticipation
+  ('interés', 'anticipation', 1), ('expectativa', 'anticipation', 1),
+  ('anticipación', 'anticipation', 2), ('esperanza', 'anticipation', 2), ('ilusión', 'anticipation', 2),
+  ('entusiasmo', 'anticipation', 2), ('deseo', 'anticipation', 2), ('anhelo', 'anticipation', 2),
+  ('optimismo', 'anticipation', 2),
+  ('vigilancia', 'anticipation', 3), ('pasión', 'anticipation', 3), ('determinación', 'anticipation', 3),
+  -- Catalan
+  ('serenitat', 'joy', 1), ('felicitat', 'joy', 2), ('tristesa', 'sadness', 2), ('enyorança', 'sadness', 1),
+  ('esperança', 'anticipation', 2),
+  -- English
+  ('serenity', 'joy', 1), ('calm', 'joy', 1), ('peace', 'joy', 1), ('joy', 'joy', 2), ('happiness', 'joy', 2),
+  ('happy', 'joy', 2), ('ecstasy', 'joy', 3), ('trust', 'trust', 2), ('love', 'trust', 2), ('gratitude', 'trust', 2),
+  ('anxiety', 'fear', 2), ('fear', 'fear', 2), ('surprise', 'surprise', 2), ('wonder', 'surprise', 3),
+  ('sadness', 'sadness', 2), ('sad', 'sadness', 2), ('grief', 'sadness', 3), ('loneliness', 'sadness', 2),
+  ('boredom', 'disgust', 1), ('disgust', 'disgust', 2), ('anger', 'anger', 2), ('rage', 'anger', 3),
+  ('hope', 'anticipation', 2), ('curiosity', 'surprise', 1)
+) AS synonyms (term, primary_emotion, intensity)
+ON CONFLICT (term) DO NOTHING;
+
+-- Map a free-form emotion to the taxonomy: the whole label first, else its first known word
+CREATE OR REPLACE FUNCTION classify_emotion(label TEXT)
+RETURNS TABLE (primary_emotion TEXT, intensity SMALLINT, valence TEXT) AS $$
+  WITH input AS (
+    SELECT normalize_emotion_term(label) AS term,
+           regexp_split_to_array(normalize_emotion_term(label), '\s+') AS words
+  )
+  SELECT s.primary_emotion, s.intensity, e.valence
+  FROM input
+  JOIN emotion_synonyms s ON s.term = input.term OR s.term = ANY (input.words)
+  JOIN emotions e ON e.id = s.primary_emotion
+  ORDER BY (s.term = input.term) DESC, array_position(input.words, s.term)
+  LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================
+-- PROMPT TEMPLATES
+-- Versioned system prompts, one active per app. Version 0 is the
+-- prompt bundled with the code, used when no template is active.
+-- Placeholders: {{language_instructions}}, {{output_format}}, {{form_rules}}
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  name TEXT NOT NULL, -- e.g. 'Poeta botánico', 'Más breve'
+  system_prompt TEXT NOT NULL,
+  notes TEXT, -- What changed and why
+  is_active BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (app_id, version)
+);
+
+-- At most one active template per app
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(app_id) WHERE is_active;
+
+-- Make a version the active one for an app (e.g. SELECT activate_prompt_template('guestbook', 2);)
+-- Version 0 deactivates them all: the app goes back to the bundled prompt
+CREATE OR REPLACE FUNCTION activate_prompt_template(app_slug TEXT, template_version INTEGER)
+RETURNS VOID AS $$
+DECLARE
+  target_app UUID;
+BEGIN
+  SELECT id INTO target_app FROM apps WHERE slug = app_slug;
+  IF template_version <> 0 AND NOT EXISTS (
+    SELECT 1 FROM prompt_templates WHERE app_id = target_app AND version = template_version
+  ) THEN
+    RAISE EXCEPTION 'No prompt template % for app %', template_version, app_slug;
+  END IF;
+
+  UPDATE prompt_templates SET is_active = false WHERE app_id = target_app AND is_active;
+  UPDATE prompt_templates SET is_active = true WHERE app_id = target_app AND version = template_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FULL-TEXT SEARCH
+-- Spanish stemming that ignores accents and case: "abuela" finds
+-- "Abuelas" and "ABUELA", "corazon" finds "corazón"
+-- ============================================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'spanish_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION public.spanish_unaccent (COPY = spanish);
+    ALTER TEXT SEARCH CONFIGURATION public.spanish_unaccent
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+  END IF;
+END
+$$;
+
 -- ============================================================
 -- GUESTBOOK APP TABLES
 -- ============================================================
@@ -37,8 +212,12 @@ CREATE TABLE IF NOT EXISTS poems (
   -- Visualization
   image_url TEXT,
   
-  -- Audio narration (ElevenLabs TTS)
+  -- Audio narration (ElevenLabs TTS), the voice and delivery profile it was narrated with
+  -- and when each word is spoken ([[start, end], ...] in seconds, in reading order)
   audio_url TEXT,
+  audio_voice_id TEXT,
+  audio_voice_profile TEXT,
+  audio_word_timings JSONB,
   
   -- App source tracking (for multi-app ecosystem)
   app_id UUID REFERENCES apps(id) ON DELETE SET NULL,
@@ -46,11 +225,49 @@ CREATE TABLE IF NOT EXISTS poems (
   -- Metadata
   language TEXT DEFAULT 'es',
   ai_model TEXT DEFAULT 'gpt-4o-mini',
+  form TEXT DEFAULT 'free', -- Poetic form: free, haiku, tanka, decima, prose, acrostic
+  prompt_version INTEGER, -- prompt_templates.version that wrote it (0 = bundled prompt, NULL = offline/mock)
+  
+  -- AI interpretation of the canvas (for curators)
+  analysis TEXT, -- What the model saw on the canvas and face
+  recognized_text TEXT, -- Text read from the canvas, if any
+  input_type TEXT CHECK (input_type IN ('word', 'drawing', 'abstract')),
+  
+  -- Canonical emotion (filled by the poems_classify_emotion trigger)
+  primary_emotion TEXT REFERENCES emotions(id) ON DELETE SET NULL,
+  emotion_intensity SMALLINT CHECK (emotion_intensity BETWEEN 1 AND 3),
+  emotion_valence TEXT CHECK (emotion_valence IN ('positive', 'negative', 'neutral')),
+  
+  -- Variants ("Otra versión"): regenerations point to the first poem of the same canvas.
+  -- Only the visitor's pick is published (listings, carousels, projection)
+  parent_poem_id UUID REFERENCES poems(id) ON DELETE CASCADE,
+  is_published BOOLEAN DEFAULT true,
+  
+  -- Moderation: flagged poems are saved but kept out of public listings
+  moderation_flagged BOOLEAN DEFAULT false,
+  moderation_categories TEXT[] DEFAULT '{}',
+  
+  -- Review: only approved and featured poems are public (set by the poems_set_status trigger
+  -- from the automatic check and the app's moderation_mode, then by admins)
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'hidden', 'featured')),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  reviewed_by UUID, -- auth.users id of the admin who last changed the status
+  
+  -- Full-text search (search_poems): emotion weighs most, then the poem, then the analysis
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('public.spanish_unaccent', coalesce(emotion, '')), 'A') ||
+    setweight(to_tsvector('public.spanish_unaccent', coalesce(poem, '')), 'B') ||
+    setweight(to_tsvector('public.spanish_unaccent', coalesce(analysis, '')), 'C')
+  ) STORED,
   
   -- Optional session/user tracking (for future use)
   session_id UUID,
   user_id UUID,
   
+  -- Hash of the edit token the saving client created (see hash_edit_token): only that client
+  -- links the audio and picks the version (set_poem_audio, publish_poem_variant)
+  edit_token TEXT,
+  
   -- Timestamps
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -61,6 +278,100 @@ CREATE INDEX IF NOT EXISTS idx_poems_emotion ON poems(emotion);
 CREATE INDEX IF NOT EXISTS idx_poems_created_at ON poems(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_poems_app_id ON poems(app_id);
 CREATE INDEX IF NOT EXISTS idx_poems_session_id ON poems(session_id);
+-- Keyset pagination (list_poems): created_at with id to break ties
+CREATE INDEX IF NOT EXISTS idx_poems_created_at_id ON poems(created_at DESC, id DESC);
+
+-- Calls to the generate-poem function, for its rate limits (see claim_generation_slot).
+-- Only the function writes and reads them, with the service role
+CREATE TABLE IF NOT EXISTS generation_requests (
+  id BIGSERIAL PRIMARY KEY,
+  client_key TEXT NOT NULL, -- SHA-256 of the caller's IP
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_requests_client ON generation_requests(client_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_requests_created_at ON generation_requests(created_at);
+
+-- Usage and estimated cost of every paid API call (poem completions and TTS).
+-- Costs are estimated by the client from its price table (src/services/usage.js).
+CREATE TABLE IF NOT EXISTS generation_usage (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  poem_id UUID REFERENCES poems(id) ON DELETE SET NULL,
+  app_id UUID REFERENCES apps(id) ON DELETE SET NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('poem', 'speech')),
+  model TEXT NOT NULL, -- e.g. 'gpt-4o', 'eleven_v3'
+  
+  -- Chat completion (summed over repair requests)
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  total_tokens INTEGER,
+  request_count SMALLINT DEFAULT 1,
+  image_detail TEXT, -- Vision detail level: low, high, auto
+  image_count SMALLINT,
+  
+  -- Text-to-speech
+  tts_characters INTEGER,
+  
+  estimated_cost_usd NUMERIC(10, 6), -- NULL when the model has no known price
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_usage_created_at ON generation_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_usage_poem_id ON generation_usage(poem_id);
+
+-- Narrations by content: the same spoken text with the same model, voice and settings
+-- is synthesized once. The audio lives in the 'audio' bucket as narrations/<cache_key>.mp3
+CREATE TABLE IF NOT EXISTS narration_cache (
+  cache_key TEXT PRIMARY KEY, -- SHA-256 of model, voice, voice settings and spoken text
+  audio_url TEXT NOT NULL,
+  word_timings JSONB,
+  model_id TEXT NOT NULL,
+  voice_id TEXT NOT NULL,
+  voice_profile TEXT,
+  tts_characters INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================
+-- MIGRATIONS FOR EXISTING DATABASES
+-- (safe to re-run: CREATE TABLE IF NOT EXISTS skips new columns)
+-- ============================================================
+
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS form TEXT DEFAULT 'free';
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS moderation_flagged BOOLEAN DEFAULT false;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS moderation_categories TEXT[] DEFAULT '{}';
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS analysis TEXT;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS recognized_text TEXT;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS input_type TEXT CHECK (input_type IN ('word', 'drawing', 'abstract'));
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS primary_emotion TEXT REFERENCES emotions(id) ON DELETE SET NULL;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS emotion_intensity SMALLINT CHECK (emotion_intensity BETWEEN 1 AND 3);
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS emotion_valence TEXT CHECK (emotion_valence IN ('positive', 'negative', 'neutral'));
+CREATE INDEX IF NOT EXISTS idx_poems_primary_emotion ON poems(primary_emotion);
+CREATE INDEX IF NOT EXISTS idx_poems_flagged ON poems(moderation_flagged) WHERE moderation_flagged;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS parent_poem_id UUID REFERENCES poems(id) ON DELETE CASCADE;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS is_published BOOLEAN DEFAULT true;
+CREATE INDEX IF NOT EXISTS idx_poems_parent_poem_id ON poems(parent_poem_id) WHERE parent_poem_id IS NOT NULL;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS audio_voice_id TEXT;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS audio_voice_profile TEXT;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS audio_word_timings JSONB;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('public.spanish_unaccent', coalesce(emotion, '')), 'A') ||
+  setweight(to_tsvector('public.spanish_unaccent', coalesce(poem, '')), 'B') ||
+  setweight(to_tsvector('public.spanish_unaccent', coalesce(analysis, '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_poems_search_vector ON poems USING GIN (search_vector);
+-- Review status: poems saved before it keep what the automatic check decided
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS moderation_mode TEXT DEFAULT 'auto' CHECK (moderation_mode IN ('auto', 'pre'));
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS status TEXT CHECK (status IN ('pending', 'approved', 'hidden', 'featured'));
+UPDATE poems SET status = CASE WHEN moderation_flagged THEN 'hidden' ELSE 'approved' END WHERE status IS NULL;
+ALTER TABLE poems ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE poems ALTER COLUMN status SET NOT NULL;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS reviewed_by UUID;
+CREATE INDEX IF NOT EXISTS idx_poems_status ON poems(status, created_at DESC);
+-- Edit token: poems saved before it can no longer be changed by the app
+ALTER TABLE poems ADD COLUMN IF NOT EXISTS edit_token TEXT;
 
 -- ============================================================
 -- OPTIONAL: Sessions table (for future multi-device tracking)
@@ -85,24 +396,82 @@ CREATE TABLE IF NOT EXISTS sessions (
 -- ROW LEVEL SECURITY (RLS)
 -- ============================================================
 
+-- Admins who review poems (?view=admin). Add them from the SQL editor once they
+-- have a Supabase Auth account:
+--   INSERT INTO poem_admins (user_id) SELECT id FROM auth.users WHERE email = 'curator@example.com';
+CREATE TABLE IF NOT EXISTS poem_admins (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Whether the signed-in user is an admin (definer: poem_admins has no policies, nobody reads it directly)
+CREATE OR REPLACE FUNCTION is_poem_admin()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM poem_admins WHERE user_id = auth.uid())
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
 -- Enable RLS on all tables
 ALTER TABLE apps ENABLE ROW LEVEL SECURITY;
 ALTER TABLE poems ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generation_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE emotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE emotion_synonyms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generation_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE narration_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE poem_admins ENABLE ROW LEVEL SECURITY;
 
 -- Apps: read-only for anon
 CREATE POLICY "Apps are viewable by everyone" ON apps
   FOR SELECT USING (true);
 
--- Poems: full CRUD for anon (adjust based on your security needs)
-CREATE POLICY "Poems are viewable by everyone" ON poems
-  FOR SELECT USING (true);
+-- Poems: anyone writes them, only approved and featured ones are public.
+-- Admins see and review all of them. The app links audio and publishes versions
+-- through set_poem_audio and publish_poem_variant, not with updates
+DROP POLICY IF EXISTS "Poems are viewable by everyone" ON poems;
+DROP POLICY IF EXISTS "Anyone can update their poems" ON poems;
+DROP POLICY IF EXISTS "Approved poems are viewable by everyone" ON poems;
+DROP POLICY IF EXISTS "Anyone can create poems" ON poems;
+DROP POLICY IF EXISTS "Admins can view every poem" ON poems;
+DROP POLICY IF EXISTS "Admins can review poems" ON poems;
+
+CREATE POLICY "Approved poems are viewable by everyone" ON poems
+  FOR SELECT USING (status IN ('approved', 'featured'));
 
 CREATE POLICY "Anyone can create poems" ON poems
   FOR INSERT WITH CHECK (true);
 
-CREATE POLICY "Anyone can update their poems" ON poems
-  FOR UPDATE USING (true);
+CREATE POLICY "Admins can view every poem" ON poems
+  FOR SELECT USING (is_poem_admin());
+
+CREATE POLICY "Admins can review poems" ON poems
+  FOR UPDATE USING (is_poem_admin()) WITH CHECK (is_poem_admin());
+
+-- Emotion taxonomy: read-only for anon (curated from the SQL editor)
+CREATE POLICY "Emotions are viewable by everyone" ON emotions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Emotion synonyms are viewable by everyone" ON emotion_synonyms
+  FOR SELECT USING (true);
+
+-- Prompt templates: read-only for anon (written from the SQL editor)
+CREATE POLICY "Prompt templates are viewable by everyone" ON prompt_templates
+  FOR SELECT USING (true);
+
+-- Usage: the app records and reads its own spend (for the daily budget)
+CREATE POLICY "Usage is viewable" ON generation_usage
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can record usage" ON generation_usage
+  FOR INSERT WITH CHECK (true);
+
+-- Narration cache: read and add, never overwrite
+CREATE POLICY "Narrations are viewable by everyone" ON narration_cache
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can cache narrations" ON narration_cache
+  FOR INSERT WITH CHECK (true);
 
 -- Sessions: full CRUD for anon
 CREATE POLICY "Sessions are viewable" ON sessions
@@ -114,6 +483,8 @@ CREATE POLICY "Anyone can create sessions" ON sessions
 CREATE POLICY "Anyone can update sessions" ON sessions
   FOR UPDATE USING (true);
 
+-- Generation requests: no policies, only the generate-poem function (service role) uses them
+
 -- ============================================================
 -- HELPER FUNCTIONS
 -- ============================================================
@@ -134,6 +505,252 @@ CREATE TRIGGER poems_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at();
 
+-- Take a generate-poem slot for a caller: false when it already made max_per_window
+-- calls within the window, or everyone made max_per_day calls today (UTC)
+CREATE OR REPLACE FUNCTION claim_generation_slot(client TEXT, max_per_window INTEGER, window_seconds INTEGER, max_per_day INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+  -- One claim at a time: concurrent calls cannot both take the last slot
+  PERFORM pg_advisory_xact_lock(hashtext('claim_generation_slot'));
+
+  IF (SELECT COUNT(*) FROM generation_requests
+      WHERE client_key = client AND created_at > NOW() - make_interval(secs => window_seconds)) >= max_per_window THEN
+    RETURN false;
+  END IF;
+  IF (SELECT COUNT(*) FROM generation_requests
+      WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC') >= max_per_day THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO generation_requests (client_key) VALUES (client);
+  -- Older calls no longer count for any limit
+  DELETE FROM generation_requests WHERE created_at < NOW() - INTERVAL '2 days';
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION claim_generation_slot(TEXT, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Map the poetic emotion to the taxonomy on insert and when it changes
+CREATE OR REPLACE FUNCTION classify_poem_emotion()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT c.primary_emotion, c.intensity, c.valence
+    INTO NEW.primary_emotion, NEW.emotion_intensity, NEW.emotion_valence
+    FROM classify_emotion(NEW.emotion) c;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS poems_classify_emotion ON poems;
+CREATE TRIGGER poems_classify_emotion
+  BEFORE INSERT OR UPDATE OF emotion ON poems
+  FOR EACH ROW
+  EXECUTE FUNCTION classify_poem_emotion();
+
+-- Review status of a new poem: hidden when the automatic check flagged it, pending
+-- when its app pre-moderates, approved otherwise. Later changes (admins only, see
+-- the RLS policies) record who made them and when
+CREATE OR REPLACE FUNCTION set_poem_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.status := CASE
+      WHEN NEW.moderation_flagged THEN 'hidden'
+      WHEN (SELECT moderation_mode FROM apps WHERE id = NEW.app_id) = 'pre' THEN 'pending'
+      ELSE 'approved'
+    END;
+  ELSIF NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.reviewed_at := NOW();
+    NEW.reviewed_by := auth.uid();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS poems_set_status ON poems;
+CREATE TRIGGER poems_set_status
+  BEFORE INSERT OR UPDATE OF status ON poems
+  FOR EACH ROW
+  EXECUTE FUNCTION set_poem_status();
+
+-- Edit tokens: the client keeps the token, the row only its SHA-256, so the poems
+-- anyone can read do not give away what set_poem_audio and publish_poem_variant ask for
+CREATE OR REPLACE FUNCTION hash_edit_token(token TEXT)
+RETURNS TEXT AS $$
+  SELECT encode(sha256(convert_to(token, 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION hash_poem_edit_token()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.edit_token := hash_edit_token(NEW.edit_token);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS poems_hash_edit_token ON poems;
+CREATE TRIGGER poems_hash_edit_token
+  BEFORE INSERT OR UPDATE OF edit_token ON poems
+  FOR EACH ROW
+  EXECUTE FUNCTION hash_poem_edit_token();
+
+-- Backfill: classify poems that have no canonical emotion yet
+-- (existing rows, or labels that only got a synonym later). Returns the rows updated.
+CREATE OR REPLACE FUNCTION backfill_poem_emotions()
+RETURNS INTEGER AS $$
+DECLARE
+  updated_count INTEGER;
+BEGIN
+  UPDATE poems p
+  SET (primary_emotion, emotion_intensity, emotion_valence) =
+    (SELECT c.primary_emotion, c.intensity, c.valence FROM classify_emotion(p.emotion) c)
+  WHERE p.primary_emotion IS NULL;
+
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+  RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT backfill_poem_emotions();
+
+-- Publish one variant of a poem and unpublish its siblings (the visitor's pick).
+-- Definer: the versions may still be pending review, out of the visitor's reach.
+-- Only with the edit token of the first version (the family shares it), and only for an hour
+-- after that version was saved: older families stay as they are
+DROP FUNCTION IF EXISTS publish_poem_variant(UUID);
+CREATE OR REPLACE FUNCTION publish_poem_variant(variant_id UUID, token TEXT)
+RETURNS VOID AS $$
+DECLARE
+  root_id UUID;
+  root_created_at TIMESTAMPTZ;
+  root_token TEXT;
+BEGIN
+  SELECT COALESCE(parent_poem_id, id) INTO root_id
+  FROM poems
+  WHERE id = variant_id AND status <> 'hidden';
+
+  IF root_id IS NULL THEN
+    RAISE EXCEPTION 'Poem % not found or hidden by moderation', variant_id;
+  END IF;
+
+  SELECT created_at, edit_token INTO root_created_at, root_token FROM poems WHERE id = root_id;
+  IF root_token IS DISTINCT FROM hash_edit_token(token) THEN
+    RAISE EXCEPTION 'Poem % was saved by another client', root_id;
+  END IF;
+  IF root_created_at < NOW() - INTERVAL '1 hour' THEN
+    RAISE EXCEPTION 'The versions of poem % can no longer be changed', root_id;
+  END IF;
+
+  UPDATE poems
+  SET is_published = (id = variant_id)
+  WHERE id = root_id OR parent_poem_id = root_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION publish_poem_variant(UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION publish_poem_variant(UUID, TEXT) TO anon, authenticated, service_role;
+
+-- Link the narration of a poem (the only change the app makes to a saved poem).
+-- Definer, like publish_poem_variant: it works on poems still pending review.
+-- Only with the poem's edit token, only a poem without audio takes one (the same link
+-- again is a no-op retry), and only a cached narration of the 'audio' bucket
+DROP FUNCTION IF EXISTS set_poem_audio(UUID, TEXT, TEXT, TEXT, JSONB);
+CREATE OR REPLACE FUNCTION set_poem_audio(
+  poem_id UUID,
+  token TEXT,
+  audio_url TEXT,
+  voice_id TEXT DEFAULT NULL,
+  voice_profile TEXT DEFAULT NULL,
+  word_timings JSONB DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+  UPDATE poems p
+  SET audio_url = set_poem_audio.audio_url,
+      audio_voice_id = voice_id,
+      audio_voice_profile = voice_profile,
+      audio_word_timings = word_timings
+  WHERE p.id = poem_id
+    AND p.edit_token = hash_edit_token(token)
+    AND (p.audio_url IS NULL OR p.audio_url = set_poem_audio.audio_url)
+    AND set_poem_audio.audio_url ~ '/storage/v1/object/public/audio/narrations/[0-9a-f]{64}\.mp3$'
+  RETURNING true;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION set_poem_audio(UUID, TEXT, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION set_poem_audio(UUID, TEXT, TEXT, TEXT, TEXT, JSONB) TO anon, authenticated, service_role;
+
+-- One page of published poems (the gallery, the idle carousel and get-poems share it).
+-- Sorts: newest, oldest, or random (shuffled by seed, so the order holds across pages).
+-- Keyset cursor: created_at and id of the last poem of the previous page (only the id for random).
+-- Filters left NULL do not apply; has_audio/has_image/featured pick poems with or without them.
+DROP FUNCTION IF EXISTS list_poems(INTEGER, TEXT, TEXT, TIMESTAMPTZ, UUID, TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, BOOLEAN, BOOLEAN);
+CREATE OR REPLACE FUNCTION list_poems(
+  page_size INTEGER DEFAULT 20,
+  sort TEXT DEFAULT 'newest',
+  seed TEXT DEFAULT NULL,
+  cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  cursor_id UUID DEFAULT NULL,
+  app_slug TEXT DEFAULT NULL,
+  emotion_filter TEXT DEFAULT NULL,
+  created_from TIMESTAMPTZ DEFAULT NULL,
+  created_to TIMESTAMPTZ DEFAULT NULL,
+  has_audio BOOLEAN DEFAULT NULL,
+  has_image BOOLEAN DEFAULT NULL,
+  featured BOOLEAN DEFAULT NULL
+)
+RETURNS SETOF poems AS $$
+  SELECT p.*
+  FROM poems p
+  WHERE p.status IN ('approved', 'featured')
+    AND p.is_published
+    -- An unknown app slug does not filter
+    AND (app_slug IS NULL OR p.app_id = COALESCE((SELECT id FROM apps WHERE slug = app_slug), p.app_id))
+    AND (emotion_filter IS NULL OR p.emotion ILIKE '%' || emotion_filter || '%')
+    AND (created_from IS NULL OR p.created_at >= created_from)
+    AND (created_to IS NULL OR p.created_at < created_to)
+    AND (has_audio IS NULL OR (p.audio_url IS NOT NULL) = has_audio)
+    AND (has_image IS NULL OR (p.image_url IS NOT NULL) = has_image)
+    AND (featured IS NULL OR (p.status = 'featured') = featured)
+    AND (cursor_id IS NULL OR CASE sort
+      WHEN 'oldest' THEN (p.created_at, p.id) > (cursor_created_at, cursor_id)
+      WHEN 'random' THEN (md5(COALESCE(seed, '') || p.id::text), p.id) > (md5(COALESCE(seed, '') || cursor_id::text), cursor_id)
+      ELSE (p.created_at, p.id) < (cursor_created_at, cursor_id)
+    END)
+  ORDER BY
+    CASE WHEN sort = 'random' THEN md5(COALESCE(seed, '') || p.id::text) END,
+    CASE WHEN sort = 'oldest' THEN p.created_at END,
+    CASE WHEN sort NOT IN ('oldest', 'random') THEN p.created_at END DESC,
+    CASE WHEN sort NOT IN ('oldest', 'random') THEN p.id END DESC,
+    p.id
+  LIMIT LEAST(GREATEST(page_size, 1), 100);
+$$ LANGUAGE sql STABLE;
+
+-- Published poems matching a search, best first, each with a snippet of the poem where
+-- the matches are wrapped in [[ ]]. The query takes web-search syntax: "exact phrase",
+-- OR, -word. A poem that matches only by emotion or analysis gets its opening lines
+CREATE OR REPLACE FUNCTION search_poems(
+  search_query TEXT,
+  page_size INTEGER DEFAULT 20,
+  app_slug TEXT DEFAULT NULL
+)
+RETURNS TABLE (poem JSONB, rank REAL, snippet TEXT) AS $$
+  SELECT
+    to_jsonb(p) - 'search_vector',
+    ts_rank(p.search_vector, q.query),
+    ts_headline('public.spanish_unaccent', coalesce(p.poem, ''), q.query,
+      'StartSel=[[, StopSel=]], MinWords=6, MaxWords=16, MaxFragments=2, FragmentDelimiter=" … "')
+  FROM poems p,
+    websearch_to_tsquery('public.spanish_unaccent', search_query) AS q(query)
+  WHERE p.search_vector @@ q.query
+    AND p.status IN ('approved', 'featured')
+    AND p.is_published
+    -- An unknown app slug does not filter
+    AND (app_slug IS NULL OR p.app_id = COALESCE((SELECT id FROM apps WHERE slug = app_slug), p.app_id))
+  ORDER BY 2 DESC, p.created_at DESC
+  LIMIT LEAST(GREATEST(page_size, 1), 50);
+$$ LANGUAGE sql STABLE;
+
 -- Apply trigger to sessions
 DROP TRIGGER IF EXISTS sessions_updated_at ON sessions;
 CREATE TRIGGER sessions_updated_at
@@ -153,6 +770,7 @@ SELECT
   MIN(created_at) as first_poem,
   MAX(created_at) as last_poem
 FROM poems
+WHERE status IN ('approved', 'featured') AND is_published
 GROUP BY LOWER(emotion)
 ORDER BY poem_count DESC;
 
@@ -162,9 +780,106 @@ SELECT
   DATE(created_at) as date,
   COUNT(*) as poems_created
 FROM poems
+WHERE status IN ('approved', 'featured') AND is_published
 GROUP BY DATE(created_at)
 ORDER BY date DESC;
 
+-- Daily usage and estimated cost per app (the daily budget reads today's row)
+CREATE OR REPLACE VIEW daily_usage_costs AS
+SELECT 
+  DATE(u.created_at) as date,
+  a.slug as app,
+  COUNT(*) FILTER (WHERE u.kind = 'poem') as poem_calls,
+  COALESCE(SUM(u.request_count) FILTER (WHERE u.kind = 'poem'), 0) as completion_requests,
+  COALESCE(SUM(u.prompt_tokens), 0) as prompt_tokens,
+  COALESCE(SUM(u.completion_tokens), 0) as completion_tokens,
+  COUNT(*) FILTER (WHERE u.kind = 'speech') as speech_calls,
+  COALESCE(SUM(u.tts_characters), 0) as tts_characters,
+  COALESCE(SUM(u.estimated_cost_usd) FILTER (WHERE u.kind = 'poem'), 0) as poem_cost_usd,
+  COALESCE(SUM(u.estimated_cost_usd) FILTER (WHERE u.kind = 'speech'), 0) as speech_cost_usd,
+  COALESCE(SUM(u.estimated_cost_usd), 0) as total_cost_usd
+FROM generation_usage u
+LEFT JOIN apps a ON a.id = u.app_id
+GROUP BY DATE(u.created_at), a.slug
+ORDER BY date DESC, app;
+
+-- Usage and estimated cost per app, all time
+CREATE OR REPLACE VIEW app_usage_costs AS
+SELECT 
+  a.slug as app,
+  COUNT(DISTINCT u.poem_id) as poems,
+  COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+  COALESCE(SUM(u.tts_characters), 0) as tts_characters,
+  COALESCE(SUM(u.estimated_cost_usd), 0) as total_cost_usd,
+  ROUND(COALESCE(SUM(u.estimated_cost_usd), 0) / NULLIF(COUNT(DISTINCT u.poem_id), 0), 4) as cost_per_poem_usd,
+  MIN(u.created_at) as first_call,
+  MAX(u.created_at) as last_call
+FROM generation_usage u
+LEFT JOIN apps a ON a.id = u.app_id
+GROUP BY a.slug
+ORDER BY total_cost_usd DESC;
+
+-- Poems by canonical emotion (Plutchik), with their intensity spread
+CREATE OR REPLACE VIEW canonical_emotion_stats AS
+SELECT
+  e.id as primary_emotion,
+  e.label_es,
+  e.valence,
+  COUNT(p.id) as poem_count,
+  COUNT(p.id) FILTER (WHERE p.emotion_intensity = 1) as mild_count,
+  COUNT(p.id) FILTER (WHERE p.emotion_intensity = 2) as basic_count,
+  COUNT(p.id) FILTER (WHERE p.emotion_intensity = 3) as intense_count,
+  ROUND(AVG(p.emotion_intensity), 2) as avg_intensity,
+  COUNT(DISTINCT LOWER(p.emotion)) as label_count,
+  MAX(p.created_at) as last_poem
+FROM emotions e
+LEFT JOIN poems p ON p.primary_emotion = e.id AND p.status IN ('approved', 'featured') AND p.is_published
+GROUP BY e.id, e.label_es, e.valence
+ORDER BY poem_count DESC;
+
+-- Poems by valence
+CREATE OR REPLACE VIEW emotion_valence_stats AS
+SELECT 
+  COALESCE(emotion_valence, 'unmapped') as valence,
+  COUNT(*) as poem_count
+FROM poems
+WHERE status IN ('approved', 'featured') AND is_published
+GROUP BY COALESCE(emotion_valence, 'unmapped')
+ORDER BY poem_count DESC;
+
+-- Labels with no synonym yet: candidates for emotion_synonyms
+CREATE OR REPLACE VIEW unmapped_emotions AS
+SELECT 
+  LOWER(emotion) as emotion,
+  COUNT(*) as poem_count
+FROM poems
+WHERE primary_emotion IS NULL AND status IN ('approved', 'featured') AND is_published
+GROUP BY LOWER(emotion)
+ORDER BY poem_count DESC;
+
+-- A/B comparison of prompt versions per app (one exhibition per pinned version)
+CREATE OR REPLACE VIEW prompt_version_stats AS
+SELECT
+  a.slug as app,
+  p.prompt_version,
+  t.name as template_name,
+  COUNT(*) as poem_count,
+  COUNT(DISTINCT LOWER(p.emotion)) as label_count,
+  ROUND(AVG(p.emotion_intensity), 2) as avg_intensity,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE p.emotion_valence = 'positive') / COUNT(*), 1) as positive_pct,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE p.primary_emotion IS NULL) / COUNT(*), 1) as unmapped_pct,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE p.input_type = 'word') / COUNT(*), 1) as word_input_pct,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE p.moderation_flagged) / COUNT(*), 1) as flagged_pct,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE p.audio_url IS NOT NULL) / COUNT(*), 1) as narrated_pct,
+  MIN(p.created_at) as first_poem,
+  MAX(p.created_at) as last_poem
+FROM poems p
+LEFT JOIN apps a ON a.id = p.app_id
+LEFT JOIN prompt_templates t ON t.app_id = p.app_id AND t.version = p.prompt_version
+WHERE p.prompt_version IS NOT NULL
+GROUP BY a.slug, p.prompt_version, t.name
+ORDER BY a.slug, p.prompt_version;
+
 -- ============================================================
 -- NOTES FOR FUTURE EXPANSION
 -- ============================================================